@@ -0,0 +1,105 @@
+/**
+ * @file Blue-noise threshold maps
+ *
+ * Void-and-cluster (Ulichney, "The void-and-cluster method for dither array
+ * generation", 1993) on a torus, so the map tiles without seams. Thresholds
+ * are spread evenly over [0, 1) and neighbours never share similar values,
+ * which makes dithering look like fine grain instead of a regular pattern.
+ */
+
+/**
+ * @param {number} size - Edge of the square map; 64 is plenty for dithering
+ * @param {() => number} random - float in [0, 1), seeds the initial pattern
+ * @param {number} [sigma=1.5] - Gaussian radius of the energy filter, in pixels
+ * @returns {Float32Array} `size * size` thresholds in [0, 1), row-major
+ */
+export function createBlueNoise(size, random, sigma = 1.5) {
+	if (!Number.isInteger(size) || size < 2) {
+		throw new Error(`Invalid blue-noise size: ${size}`);
+	}
+
+	const count = size * size;
+
+	// Toroidal Gaussian by wrapped offset, so energy updates are one lookup per pixel
+	const kernel = new Float64Array(count);
+	for (let y = 0; y < size; y++) {
+		for (let x = 0; x < size; x++) {
+			const dx = Math.min(x, size - x);
+			const dy = Math.min(y, size - y);
+			kernel[y * size + x] = Math.exp(-(dx * dx + dy * dy) / (2 * sigma * sigma));
+		}
+	}
+
+	const pattern = new Uint8Array(count);
+	const energy = new Float64Array(count);
+
+	/**
+	 * @param {number} index
+	 * @param {1 | -1} sign - Add or remove a point's energy
+	 */
+	const splat = (index, sign) => {
+		const px = index % size;
+		const py = Math.floor(index / size);
+		for (let y = 0; y < size; y++) {
+			const row = ((y - py + size) % size) * size;
+			for (let x = 0; x < size; x++) {
+				energy[y * size + x] += sign * kernel[row + ((x - px + size) % size)];
+			}
+		}
+	};
+
+	/** @param {0 | 1} value - 1 finds the tightest cluster, 0 the largest void */
+	const extreme = (value) => {
+		let best = -1;
+		for (let i = 0; i < count; i++) {
+			if (pattern[i] !== value) continue;
+			if (best === -1 || (value === 1 ? energy[i] > energy[best] : energy[i] < energy[best])) best = i;
+		}
+		return best;
+	};
+
+	// Initial binary pattern: about a tenth of the pixels, spread out by swapping
+	// the tightest cluster into the largest void until that stops helping
+	const initialCount = Math.max(1, Math.floor(count / 10));
+	for (let placed = 0; placed < initialCount;) {
+		const index = Math.floor(random() * count);
+		if (pattern[index]) continue;
+		pattern[index] = 1;
+		splat(index, 1);
+		placed++;
+	}
+
+	for (let swaps = 0; swaps < count; swaps++) {
+		const cluster = extreme(1);
+		pattern[cluster] = 0;
+		splat(cluster, -1);
+		const minimumVoid = extreme(0);
+		pattern[minimumVoid] = 1;
+		splat(minimumVoid, 1);
+		if (minimumVoid === cluster) break;
+	}
+
+	const ranks = new Int32Array(count);
+	const initial = pattern.slice();
+	const initialEnergy = energy.slice();
+
+	// Rank the initial points by removing the tightest cluster first
+	for (let rank = initialCount - 1; rank >= 0; rank--) {
+		const cluster = extreme(1);
+		pattern[cluster] = 0;
+		splat(cluster, -1);
+		ranks[cluster] = rank;
+	}
+
+	// Then fill the largest void until the map is full
+	pattern.set(initial);
+	energy.set(initialEnergy);
+	for (let rank = initialCount; rank < count; rank++) {
+		const minimumVoid = extreme(0);
+		pattern[minimumVoid] = 1;
+		splat(minimumVoid, 1);
+		ranks[minimumVoid] = rank;
+	}
+
+	return Float32Array.from(ranks, (rank) => (rank + 0.5) / count);
+}
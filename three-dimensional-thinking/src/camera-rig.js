@@ -0,0 +1,419 @@
+/**
+ * @file Orbit camera with named presets, animated transitions and a
+ * serializable state
+ *
+ * The rig owns an orthographic and a perspective camera and hands out
+ * whichever the current state needs. A state is described the way
+ * `OrbitControls` sees the camera (a target, a direction and a framing), so
+ * it survives resizes and fits in a URL.
+ *
+ * Transitions between projections go through a dolly zoom: the perspective
+ * camera starts (or ends) with a near-zero field of view far away, which looks
+ * the same as the orthographic one, so nothing pops.
+ */
+
+import * as THREE from "three";
+import { OrbitControls } from "three/examples/jsm/controls/OrbitControls.js";
+import { cubicInOut } from "eases";
+
+/**
+ * @typedef {[x: number, y: number, z: number]} Vec3
+ */
+
+/**
+ * @typedef {Object} CameraState
+ * @property {number} fov - Vertical field of view in degrees, `0` for orthographic
+ * @property {Vec3} target - Point the camera orbits and looks at
+ * @property {Vec3} direction - Unit vector from the target towards the camera
+ * @property {number} halfHeight - Half the visible height at the target, in world units
+ */
+
+/**
+ * @typedef {Object} CameraPreset
+ * @property {string} key - Hotkey
+ * @property {string} label
+ * @property {number} fov - `0` for orthographic
+ * @property {Vec3} direction - From the target towards the camera, any length
+ */
+
+/**
+ * @typedef {"isometric" | "dimetric" | "top" | "front" | "perspective"} CameraPresetName
+ */
+
+/**
+ * @typedef {Object} CameraRigOptions
+ * @property {number} viewSize - Half-height of the orthographic frustum at zoom 1
+ * @property {number} zoom - Preset framing: the target shows `viewSize / zoom` above and below
+ * @property {CameraState | null} [state] - Initial state, e.g. from the URL; defaults to the isometric preset
+ */
+
+/** @type {Readonly<Record<CameraPresetName, CameraPreset>>} */
+export const CAMERA_PRESETS = Object.freeze({
+	// Every axis foreshortened equally: 45° around, ~35.26° up
+	isometric: { key: "1", label: "Isometric", fov: 0, direction: [1, 1, 1] },
+	// The 2:1 "pixel art" projection: 45° around, ~26.57° up
+	dimetric: { key: "2", label: "Dimetric", fov: 0, direction: [1, Math.SQRT1_2, 1] },
+	// Slightly off the pole so "up" on screen stays -z
+	top: { key: "3", label: "Top", fov: 0, direction: [0, 1, 1e-3] },
+	front: { key: "4", label: "Front", fov: 0, direction: [0, 0, 1] },
+	perspective: { key: "5", label: "Perspective", fov: 35, direction: [1, 0.75, 1.6] },
+});
+
+const TRANSITION_MS = 700;
+/** Stand-in for an orthographic camera while animating to or from perspective */
+const MIN_FOV = 0.5;
+/** Orthographic cameras sit this far from the target; they clip at ±100 */
+const ORTHO_DISTANCE = 10;
+/** Depth kept around the target by the perspective near and far planes */
+const DEPTH_RADIUS = 50;
+/** Changes are reported once the camera has been still this long */
+const SETTLE_MS = 250;
+
+/**
+ * Compact `fov,target,direction,halfHeight` form for URLs
+ * @param {CameraState} state
+ * @returns {string}
+ */
+export function serializeCameraState({ fov, target, direction, halfHeight }) {
+	return [fov, ...target, ...direction, halfHeight].map((v) => Number(v.toFixed(4))).join(",");
+}
+
+/**
+ * @param {string | null} text - From `serializeCameraState`
+ * @returns {CameraState | null} `null` when missing or malformed
+ */
+export function parseCameraState(text) {
+	const values = (text ?? "").split(",").map(Number);
+	if (values.length !== 8 || !values.every(Number.isFinite)) return null;
+
+	const [fov, tx, ty, tz, dx, dy, dz, halfHeight] = values;
+	const length = Math.hypot(dx, dy, dz);
+	if (fov < 0 || fov >= 180 || halfHeight <= 0 || length === 0) return null;
+
+	return { fov, target: [tx, ty, tz], direction: [dx / length, dy / length, dz / length], halfHeight };
+}
+
+/**
+ * @param {number} a
+ * @param {number} b
+ * @param {number} t
+ */
+const lerp = (a, b, t) => a + (b - a) * t;
+
+/**
+ * Orbit-style blend: around the target rather than through it
+ * @param {CameraState} from
+ * @param {CameraState} to
+ * @param {number} t
+ * @returns {CameraState}
+ */
+function interpolateState(from, to, t) {
+	const a = new THREE.Spherical().setFromVector3(new THREE.Vector3(...from.direction));
+	const b = new THREE.Spherical().setFromVector3(new THREE.Vector3(...to.direction));
+	// Shortest way around
+	let theta = b.theta - a.theta;
+	theta -= Math.round(theta / (Math.PI * 2)) * Math.PI * 2;
+
+	const direction = new THREE.Vector3().setFromSphericalCoords(1, lerp(a.phi, b.phi, t), a.theta + theta * t);
+
+	// Orthographic ends are approached with a tiny field of view
+	const fov =
+		(t >= 1 && to.fov === 0) || (from.fov === 0 && to.fov === 0) ? 0 : lerp(from.fov || MIN_FOV, to.fov || MIN_FOV, t);
+
+	return {
+		fov,
+		target: /** @type {Vec3} */ (from.target.map((v, i) => lerp(v, to.target[i], t))),
+		direction: /** @type {Vec3} */ (direction.toArray()),
+		// Zooming feels even in log space
+		halfHeight: Math.exp(lerp(Math.log(from.halfHeight), Math.log(to.halfHeight), t)),
+	};
+}
+
+/**
+ * @param {HTMLElement} domElement - Receives the orbit controls' pointer events
+ * @param {CameraRigOptions} options
+ */
+export function createCameraRig(domElement, options) {
+	let { viewSize, zoom } = options;
+
+	const orthographic = new THREE.OrthographicCamera(-viewSize, viewSize, viewSize, -viewSize, -100, 100);
+	const perspective = new THREE.PerspectiveCamera(CAMERA_PRESETS.perspective.fov, 1);
+
+	/** @type {THREE.OrthographicCamera | THREE.PerspectiveCamera} */
+	let camera = orthographic;
+
+	const controls = new OrbitControls(camera, domElement);
+	controls.enableDamping = true;
+
+	/**
+	 * @param {CameraPresetName} name
+	 * @returns {CameraState}
+	 */
+	function presetState(name) {
+		const { fov, direction } = CAMERA_PRESETS[name];
+		return {
+			fov,
+			target: [0, 0, 0],
+			direction: /** @type {Vec3} */ (new THREE.Vector3(...direction).normalize().toArray()),
+			halfHeight: viewSize / zoom,
+		};
+	}
+
+	/** Keep the perspective depth range centered on the target as it dollies */
+	function updateClipping() {
+		if (camera !== perspective) return;
+		const distance = perspective.position.distanceTo(controls.target);
+		perspective.near = Math.max(0.01, distance - DEPTH_RADIUS);
+		perspective.far = distance + DEPTH_RADIUS;
+		perspective.updateProjectionMatrix();
+	}
+
+	/**
+	 * @param {CameraState} state
+	 */
+	function applyState({ fov, target, direction, halfHeight }) {
+		const next = fov > 0 ? perspective : orthographic;
+		if (next !== camera) {
+			camera = next;
+			controls.object = camera;
+		}
+
+		let distance = ORTHO_DISTANCE;
+		if (camera === perspective) {
+			perspective.fov = fov;
+			perspective.zoom = 1;
+			distance = halfHeight / Math.tan(THREE.MathUtils.degToRad(fov / 2));
+		} else {
+			orthographic.zoom = viewSize / halfHeight;
+		}
+
+		controls.target.set(...target);
+		camera.position
+			.set(...direction)
+			.multiplyScalar(distance)
+			.add(controls.target);
+		camera.lookAt(controls.target);
+		camera.updateProjectionMatrix();
+		updateClipping();
+	}
+
+	/**
+	 * The current camera, read back as a state
+	 * @returns {CameraState}
+	 */
+	function getState() {
+		const offset = camera.position.clone().sub(controls.target);
+		const distance = offset.length();
+		const halfHeight =
+			camera === perspective
+				? (distance * Math.tan(THREE.MathUtils.degToRad(perspective.fov / 2))) / perspective.zoom
+				: viewSize / orthographic.zoom;
+
+		return {
+			fov: camera === perspective ? perspective.fov : 0,
+			target: /** @type {Vec3} */ (controls.target.toArray()),
+			direction: /** @type {Vec3} */ (offset.normalize().toArray()),
+			halfHeight,
+		};
+	}
+
+	/** @type {Set<(state: CameraState) => void>} */
+	const listeners = new Set();
+	/** @type {ReturnType<typeof setTimeout> | undefined} */
+	let settleTimer;
+
+	function scheduleNotify() {
+		clearTimeout(settleTimer);
+		settleTimer = setTimeout(() => {
+			const state = getState();
+			for (const listener of listeners) listener(state);
+		}, SETTLE_MS);
+	}
+
+	controls.addEventListener("change", scheduleNotify);
+
+	/**
+	 * @type {{ from: CameraState, to: CameraState, start: number, duration: number, done: () => void } | null}
+	 */
+	let transition = null;
+
+	/** Unreleased `freeze()` calls */
+	let freezes = 0;
+
+	function finishTransition() {
+		if (!transition) return;
+		const { to, done } = transition;
+		transition = null;
+		applyState(to);
+		controls.enabled = freezes === 0;
+		scheduleNotify();
+		done();
+	}
+
+	/**
+	 * Animate to a state; user orbiting is ignored until it arrives
+	 * @param {CameraState} state
+	 * @param {number} [duration]
+	 * @returns {Promise<void>} Resolves on arrival, when interrupted by another transition, or on `dispose()`;
+	 * jumps straight there while frozen
+	 */
+	function transitionTo(state, duration = TRANSITION_MS) {
+		finishTransition();
+		if (duration <= 0 || freezes > 0) {
+			setState(state);
+			return Promise.resolve();
+		}
+
+		return new Promise((resolve) => {
+			transition = { from: getState(), to: state, start: performance.now(), duration, done: resolve };
+			controls.enabled = false;
+		});
+	}
+
+	/**
+	 * Jump to a state
+	 * @param {CameraState} state
+	 */
+	function setState(state) {
+		finishTransition();
+		applyState(state);
+		controls.update();
+		scheduleNotify();
+	}
+
+	/**
+	 * @param {CameraPresetName} name
+	 * @param {number} [duration] - Milliseconds, `0` to jump
+	 */
+	function applyPreset(name, duration) {
+		if (!(name in CAMERA_PRESETS)) {
+			throw new Error(`Unknown camera preset: ${name}`);
+		}
+		return transitionTo(presetState(name), duration);
+	}
+
+	/**
+	 * Advance a running transition, or the orbit controls' damping; call once per frame
+	 */
+	function update() {
+		if (freezes > 0) return;
+		if (!transition) {
+			controls.update();
+			updateClipping();
+			return;
+		}
+
+		const t = Math.min(1, (performance.now() - transition.start) / transition.duration);
+		if (t >= 1) finishTransition();
+		else applyState(interpolateState(transition.from, transition.to, cubicInOut(t)));
+	}
+
+	/**
+	 * Hold the camera still, e.g. while recording frames: a running transition
+	 * jumps to its end, and neither damping nor user input moves the camera
+	 * until every freeze is released. Both run on wall-clock time, which
+	 * would make a recording differ from one run to the next.
+	 * @returns {() => void} Release; further calls do nothing
+	 */
+	function freeze() {
+		finishTransition();
+		freezes++;
+		controls.enabled = false;
+
+		let released = false;
+		return () => {
+			if (released) return;
+			released = true;
+			freezes--;
+			controls.enabled = freezes === 0 && !transition;
+		};
+	}
+
+	/**
+	 * Fit both cameras to a viewport (or an export) without moving them
+	 * @param {number} width
+	 * @param {number} height
+	 */
+	function setViewport(width, height) {
+		const aspect = width / height;
+		orthographic.left = -viewSize * aspect;
+		orthographic.right = viewSize * aspect;
+		orthographic.top = viewSize;
+		orthographic.bottom = -viewSize;
+		orthographic.updateProjectionMatrix();
+
+		perspective.aspect = aspect;
+		perspective.updateProjectionMatrix();
+	}
+
+	/**
+	 * Change the framing options; the current view zooms to match
+	 * @param {{ viewSize?: number, zoom?: number }} framing
+	 */
+	function setFraming(framing) {
+		const aspect = (orthographic.right - orthographic.left) / (orthographic.top - orthographic.bottom);
+		viewSize = framing.viewSize ?? viewSize;
+		zoom = framing.zoom ?? zoom;
+		setViewport(aspect, 1);
+		setState({ ...getState(), halfHeight: viewSize / zoom });
+	}
+
+	/**
+	 * Call `listener` once the camera settles after moving
+	 * @param {(state: CameraState) => void} listener
+	 * @returns {() => void} Unsubscribe
+	 */
+	function subscribe(listener) {
+		listeners.add(listener);
+		return () => listeners.delete(listener);
+	}
+
+	/**
+	 * Number keys pick a preset (see `CAMERA_PRESETS`)
+	 * @param {KeyboardEvent} e
+	 */
+	function onKeyDown(e) {
+		if (e.ctrlKey || e.metaKey || e.altKey || e.shiftKey) return;
+		if (
+			e.target instanceof HTMLInputElement ||
+			e.target instanceof HTMLTextAreaElement ||
+			e.target instanceof HTMLSelectElement
+		) {
+			return;
+		}
+
+		const entry = Object.entries(CAMERA_PRESETS).find(([, preset]) => preset.key === e.key);
+		if (!entry) return;
+		e.preventDefault();
+		applyPreset(/** @type {CameraPresetName} */ (entry[0]));
+	}
+
+	function dispose() {
+		clearTimeout(settleTimer);
+		// Nothing advances the transition anymore, so settle whoever awaits it
+		transition?.done();
+		transition = null;
+		listeners.clear();
+		controls.removeEventListener("change", scheduleNotify);
+		controls.dispose();
+	}
+
+	applyState(options.state ?? presetState("isometric"));
+	controls.update();
+
+	return {
+		get camera() {
+			return camera;
+		},
+		update,
+		getState,
+		setState,
+		applyPreset,
+		setViewport,
+		setFraming,
+		freeze,
+		subscribe,
+		onKeyDown,
+		dispose,
+	};
+}
@@ -1,3 +1,19 @@
+/**
+ * Trigger a browser download
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+export function downloadBlob(blob, filename) {
+	const url = URL.createObjectURL(blob);
+	const a = document.createElement("a");
+	a.href = url;
+	a.download = filename;
+	document.body.appendChild(a);
+	a.click();
+	document.body.removeChild(a);
+	URL.revokeObjectURL(url);
+}
+
 /**
  *
  * @param {HTMLCanvasElement} canvas
@@ -9,13 +25,17 @@
  *  scale?: number;
  *  exportWidth?: null;
  *  exportHeight?: null;
- *  pixelRatio?: number;
  *  background?: null;
  *  smooth?: boolean;
  *  timestamp?: boolean;
+ *  seed?: string | number | null | (() => string | number | null);
  *  frame?: boolean;
  *  pad?: number;
  *  key?: string;
+ *  requestCapture?: <T>(read: () => T) => Promise<T>;
+ *  renderTiled?: (options: import("./three-canvas.js").TiledRenderOptions) => Promise<HTMLCanvasElement>;
+ *  highRes?: { width: number; height: number; tileSize?: number };
+ *  onProgress?: (done: number, total: number) => void;
  * }} options
  */
 export function createCanvasSaver(canvas, options = {}) {
@@ -30,7 +50,12 @@ export function createCanvasSaver(canvas, options = {}) {
 		scale = 1, // export multiplier (like canvas-sketch)
 		exportWidth = null, // override width
 		exportHeight = null, // override height
-		pixelRatio = window.devicePixelRatio || 1,
+
+		// True high-resolution export: re-renders the scene at `highRes` size
+		// (Ctrl/Cmd + Shift + key) instead of upsampling the canvas
+		renderTiled = null,
+		highRes = { width: 8000, height: 8000 },
+		onProgress, // tiles rendered by the high-resolution hotkey
 
 		// Rendering
 		background = null, // e.g. '#fff' to force background
@@ -38,11 +63,16 @@ export function createCanvasSaver(canvas, options = {}) {
 
 		// Naming
 		timestamp = true,
+		seed = null, // value or getter, e.g. () => currentSeed
 		frame = false, // true → auto increment
 		pad = 4,
 
 		// Hotkey
 		key = "s",
+
+		// Runs `read` while the drawing buffer holds a frame, e.g. right after the
+		// render loop draws. Reading immediately only works with a preserved buffer.
+		requestCapture = async (read) => read(),
 	} = options;
 
 	let frameCount = 0;
@@ -61,6 +91,11 @@ export function createCanvasSaver(canvas, options = {}) {
 			parts.push(ts);
 		}
 
+		const seedValue = typeof seed === "function" ? seed() : seed;
+		if (seedValue != null) {
+			parts.push(String(seedValue));
+		}
+
 		parts.push(postfix);
 
 		return `${parts.join("_")}.${extension}`;
@@ -104,38 +139,55 @@ export function createCanvasSaver(canvas, options = {}) {
 
 	/**
 	 * @param {HTMLCanvasElement} exportCanvas
+	 * @returns {Promise<Blob>}
 	 */
-	function downloadCanvas(exportCanvas) {
+	function canvasToBlob(exportCanvas) {
 		const mime = `image/${extension === "jpg" ? "jpeg" : extension}`;
-		const filename = getFilename();
 
-		exportCanvas.toBlob(
-			(blob) => {
-				if (!blob) {
-					console.error("Failed to create blob");
-					return;
-				}
-				const url = URL.createObjectURL(blob);
-				const a = document.createElement("a");
-				a.href = url;
-				a.download = filename;
-				document.body.appendChild(a);
-				a.click();
-				document.body.removeChild(a);
-				URL.revokeObjectURL(url);
-			},
-			mime,
-			quality,
-		);
+		return new Promise((resolve, reject) => {
+			exportCanvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("Failed to create blob"))), mime, quality);
+		});
 	}
 
-	function save() {
-		const exportCanvas = createExportCanvas();
+	/**
+	 * Capture the next rendered frame and download it
+	 * @returns {Promise<{ blob: Blob, filename: string }>}
+	 */
+	async function save() {
+		const exportCanvas = await requestCapture(createExportCanvas);
 		if (!exportCanvas) {
-			console.error("Failed to create export canvas");
-			return;
+			throw new Error("Failed to create export canvas");
+		}
+
+		const blob = await canvasToBlob(exportCanvas);
+		const filename = getFilename();
+		downloadBlob(blob, filename);
+		return { blob, filename };
+	}
+
+	/**
+	 * Re-render the scene at print size, tile by tile, and download it
+	 * @param {{
+	 *  width?: number;
+	 *  height?: number;
+	 *  tileSize?: number;
+	 *  onProgress?: (done: number, total: number) => void;
+	 *  signal?: AbortSignal;
+	 * }} [size] - Defaults to the `highRes` option
+	 * @returns {Promise<{ blob: Blob, filename: string }>}
+	 */
+	async function saveHighRes(size = {}) {
+		if (!renderTiled) {
+			throw new Error("High-resolution export needs the renderTiled option");
 		}
-		downloadCanvas(exportCanvas);
+
+		const { width = highRes.width, height = highRes.height, tileSize = highRes.tileSize, ...rest } = size;
+		const exportCanvas = await renderTiled({ width, height, tileSize, ...rest });
+
+		const blob = await canvasToBlob(exportCanvas);
+		const filename = getFilename();
+		downloadBlob(blob, filename);
+		return { blob, filename };
 	}
 
 	/**
@@ -147,104 +199,16 @@ export function createCanvasSaver(canvas, options = {}) {
 		if (!isSave) return;
 
 		e.preventDefault();
-		save();
+		if (e.shiftKey && renderTiled) {
+			saveHighRes({ onProgress }).catch((error) => console.error("Failed to save high-resolution image", error));
+			return;
+		}
+		save().catch((error) => console.error("Failed to save canvas", error));
 	}
 
-	window.addEventListener("keydown", onKeyDown);
-
 	return {
 		save,
+		saveHighRes,
 		onKeyDown,
 	};
 }
-
-// Note: look at the following approaches to expose a better performant solutions for saving
-// rather than using the three.js `preserveDrawingBuffer: true`
-// Performance Impact
-//
-// Memory usage: The GPU must preserve the frame buffer between draws, using extra VRAM
-// Mobile devices: More noticeable impact on phones/tablets with limited GPU memory
-// Rendering overhead: Some GPUs perform optimizations when they can discard buffers - preserving prevents these
-//
-// How Bad Is It?
-// For most applications: minimal to negligible impact. You'll likely never notice it unless:
-//
-// Running complex scenes on low-end hardware
-// Targeting mobile browsers heavily
-// Rendering at very high resolutions
-
-/*
-// In create-canvas-saver.js, modify the save function:
-function save() {
-  // Trigger a custom event that your render loop can listen to
-  window.dispatchEvent(new CustomEvent('capture-frame'));
-}
-
-// In your three-canvas.js render loop:
-let shouldCapture = false;
-
-window.addEventListener('capture-frame', () => {
-  shouldCapture = true;
-});
-
-function animate() {
-  renderer.render(scene, camera);
-  
-  if (shouldCapture) {
-    shouldCapture = false;
-    const exportCanvas = createExportCanvas();
-    downloadCanvas(exportCanvas);
-  }
-  
-  requestAnimationFrame(animate);
-}
-*/
-
-/*
-// In three-canvas.js
-export function setupThreeCanvas(canvasElem, containerElem) {
-  const renderer = new THREE.WebGLRenderer({
-    canvas: canvasElem,
-    preserveDrawingBuffer: false, // Default: off for performance
-    antialias: true,
-  });
-
-  let captureNext = false;
-  let captureCallback = null;
-
-  window.addEventListener('request-capture', (e) => {
-    captureNext = true;
-    captureCallback = e.detail.callback;
-  });
-
-  function animate() {
-    renderer.render(scene, camera);
-    
-    if (captureNext) {
-      captureNext = false;
-      // Canvas is now rendered and ready to capture
-      if (captureCallback) captureCallback();
-    }
-    
-    requestAnimationFrame(animate);
-  }
-
-  animate();
-  
-  return { dispose: () => { 
-		// cleanup
-	 } };
-}
-
-// In create-canvas-saver.js
-function save() {
-  window.dispatchEvent(new CustomEvent('request-capture', {
-    detail: {
-      callback: () => {
-        const exportCanvas = createExportCanvas();
-        if (exportCanvas) downloadCanvas(exportCanvas);
-      }
-    }
-  }));
-}
-*/
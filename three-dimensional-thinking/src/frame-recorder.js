@@ -0,0 +1,246 @@
+/**
+ * @file Frame-sequence and video export
+ *
+ * Pauses the timeline and steps it through every frame at a fixed fps, so
+ * the output is the same however fast the machine renders. Each frame is
+ * rendered on demand and copied to a 2D canvas right away, then collected as:
+ * - `"png"`: a ZIP of zero-padded PNG frames
+ * - `"gif"`: an animated GIF
+ * - `"webm"`: a WebM video via `MediaRecorder`. MediaRecorder timestamps
+ *   frames with the wall clock, so this format records in real time.
+ *
+ * Shortcuts (with Ctrl/Cmd + Shift): Z for PNG frames, G for GIF, V for WebM.
+ */
+
+import { downloadBlob } from "./create-canvas-saver.js";
+import { createGifEncoder } from "./gif-encoder.js";
+import { createZip } from "./zip.js";
+
+/**
+ * @typedef {"png" | "gif" | "webm"} RecordingFormat
+ */
+
+/**
+ * @typedef {Object} FrameRecorderOptions
+ * @property {import("./timeline.js").Timeline} timeline
+ * @property {() => void} renderFrame - Draws the current timeline state synchronously
+ * @property {string} [prefix="sketch"]
+ * @property {string | number | null | (() => string | number | null)} [seed] - Value or getter, added to filenames
+ * @property {Partial<Record<RecordingFormat, string>>} [keys] - Shortcut letters
+ * @property {(done: number, total: number, format: RecordingFormat) => void} [onProgress] - Frames encoded by a shortcut recording
+ * @property {(error: unknown, format: RecordingFormat) => void} [onError] - A shortcut recording failed; logs to the console by default
+ * @property {() => () => void} [freeze] - Holds anything not driven by the timeline still while recording, e.g. `cameraRig.freeze`; returns the release
+ */
+
+/**
+ * @typedef {Object} RecordOptions
+ * @property {RecordingFormat} [format="png"]
+ * @property {number} [fps] - Defaults to the timeline fps
+ * @property {number} [frames] - Defaults to one full loop
+ * @property {number} [scale=1] - Output size relative to the canvas
+ * @property {number} [pad=4] - Digits in PNG frame names
+ * @property {(done: number, total: number) => void} [onProgress]
+ * @property {AbortSignal} [signal]
+ * @property {boolean} [download=true] - Download the result, in addition to returning it
+ */
+
+const EXTENSIONS = { png: "zip", gif: "gif", webm: "webm" };
+
+/** @param {number} ms */
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * @param {HTMLCanvasElement} canvas
+ * @param {string} type
+ * @returns {Promise<Blob>}
+ */
+function canvasToBlob(canvas, type) {
+	return new Promise((resolve, reject) => {
+		canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("Failed to create blob"))), type);
+	});
+}
+
+function pickWebmType() {
+	if (typeof MediaRecorder === "undefined") {
+		throw new Error("WebM export needs MediaRecorder, which this browser does not provide");
+	}
+	const type = ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"].find((t) =>
+		MediaRecorder.isTypeSupported(t),
+	);
+	if (!type) {
+		throw new Error("This browser cannot record WebM");
+	}
+	return type;
+}
+
+/**
+ * @param {HTMLCanvasElement} canvas - The WebGL canvas
+ * @param {FrameRecorderOptions} options
+ */
+export function createFrameRecorder(canvas, options) {
+	const {
+		timeline,
+		renderFrame,
+		prefix = "sketch",
+		seed = null,
+		onProgress,
+		onError = (error) => console.error("Recording failed", error),
+		freeze,
+	} = options;
+	const keys = { png: "z", gif: "g", webm: "v", ...options.keys };
+
+	let recording = false;
+
+	/**
+	 * @param {RecordingFormat} format
+	 */
+	function getFilename(format) {
+		const parts = [prefix];
+		parts.push(new Date().toISOString().replace(/[:.]/g, "-").replace("T", "_").slice(0, 19));
+
+		const seedValue = typeof seed === "function" ? seed() : seed;
+		if (seedValue != null) {
+			parts.push(String(seedValue));
+		}
+
+		return `${parts.join("_")}.${EXTENSIONS[format]}`;
+	}
+
+	/**
+	 * Step the timeline through `frames` frames and encode them
+	 * @param {RecordOptions} [recordOptions]
+	 * @returns {Promise<Blob>}
+	 */
+	async function record(recordOptions = {}) {
+		if (recording) {
+			throw new Error("Already recording");
+		}
+
+		const initial = timeline.getState();
+		const {
+			format = "png",
+			fps = initial.fps,
+			frames = Math.max(1, Math.round(initial.duration * fps)),
+			scale = 1,
+			pad = 4,
+			onProgress,
+			signal,
+			download = true,
+		} = recordOptions;
+
+		const capture = document.createElement("canvas");
+		capture.width = Math.max(1, Math.round(canvas.width * scale));
+		capture.height = Math.max(1, Math.round(canvas.height * scale));
+		const ctx = capture.getContext("2d", { willReadFrequently: format === "gif" });
+		if (!ctx) {
+			throw new Error("Failed to create capture canvas");
+		}
+		ctx.imageSmoothingQuality = "high";
+
+		recording = true;
+		timeline.pause();
+
+		const zip = format === "png" ? createZip() : null;
+		const gif = format === "gif" ? createGifEncoder(capture.width, capture.height) : null;
+
+		/** @type {MediaRecorder | null} */
+		let mediaRecorder = null;
+		/** @type {CanvasCaptureMediaStreamTrack | null} */
+		let track = null;
+		/** @type {Blob[]} */
+		const videoChunks = [];
+		if (format === "webm") {
+			const stream = capture.captureStream(0);
+			track = /** @type {CanvasCaptureMediaStreamTrack} */ (stream.getVideoTracks()[0]);
+			mediaRecorder = new MediaRecorder(stream, { mimeType: pickWebmType() });
+			mediaRecorder.addEventListener("dataavailable", (e) => videoChunks.push(e.data));
+			mediaRecorder.start();
+		}
+
+		// Frames must depend on the timeline alone to come out the same every time
+		const release = freeze?.();
+		try {
+			for (let i = 0; i < frames; i++) {
+				signal?.throwIfAborted();
+
+				timeline.seek(i / fps);
+				renderFrame();
+				// Copy before yielding, while the drawing buffer still holds this frame
+				ctx.drawImage(canvas, 0, 0, capture.width, capture.height);
+
+				if (zip) {
+					const blob = await canvasToBlob(capture, "image/png");
+					zip.add(`${prefix}_${String(i).padStart(pad, "0")}.png`, new Uint8Array(await blob.arrayBuffer()));
+				} else if (gif) {
+					gif.addFrame(ctx.getImageData(0, 0, capture.width, capture.height).data, 1000 / fps);
+					// Keep the page responsive between frames
+					await sleep(0);
+				} else if (track) {
+					track.requestFrame();
+					await sleep(1000 / fps);
+				}
+
+				onProgress?.(i + 1, frames);
+			}
+
+			/** @type {Blob} */
+			let result;
+			if (zip) {
+				result = zip.toBlob();
+			} else if (gif) {
+				result = gif.finish();
+			} else {
+				const recorder = /** @type {MediaRecorder} */ (mediaRecorder);
+				const stopped = new Promise((resolve) => recorder.addEventListener("stop", resolve, { once: true }));
+				recorder.stop();
+				await stopped;
+				result = new Blob(videoChunks, { type: recorder.mimeType });
+			}
+
+			if (download) {
+				downloadBlob(result, getFilename(format));
+			}
+			return result;
+		} finally {
+			release?.();
+			if (mediaRecorder && mediaRecorder.state !== "inactive") mediaRecorder.stop();
+			track?.stop();
+			timeline.seek(initial.time);
+			if (initial.playing) timeline.play();
+			recording = false;
+		}
+	}
+
+	/**
+	 * @param {KeyboardEvent} e
+	 */
+	function onKeyDown(e) {
+		if (!(e.ctrlKey || e.metaKey) || !e.shiftKey) return;
+		if (
+			e.target instanceof HTMLInputElement ||
+			e.target instanceof HTMLTextAreaElement ||
+			e.target instanceof HTMLSelectElement ||
+			(e.target instanceof HTMLElement && e.target.isContentEditable)
+		) {
+			return;
+		}
+
+		const key = e.key.toLowerCase();
+		const format = /** @type {RecordingFormat[]} */ (Object.keys(keys)).find((f) => keys[f] === key);
+		if (!format) return;
+
+		e.preventDefault();
+		if (recording) return;
+
+		record({
+			format,
+			onProgress: onProgress && ((done, total) => onProgress(done, total, format)),
+		}).catch((error) => onError(error, format));
+	}
+
+	return {
+		record,
+		isRecording: () => recording,
+		onKeyDown,
+	};
+}
@@ -0,0 +1,253 @@
+/**
+ * @file Minimal animated GIF encoder
+ *
+ * Each frame gets its own 256-color palette from a median cut over a 15-bit
+ * color histogram, then is LZW-compressed as GIF89a requires.
+ */
+
+/**
+ * @typedef {Object} QuantizedFrame
+ * @property {Uint8Array<ArrayBuffer>} palette - 256 RGB triplets
+ * @property {Uint8Array} indices - One palette index per pixel
+ */
+
+/**
+ * Reduce RGBA pixels to at most `maxColors` colors (median cut)
+ * @param {Uint8Array | Uint8ClampedArray} rgba
+ * @param {number} [maxColors=256]
+ * @returns {QuantizedFrame}
+ */
+export function quantize(rgba, maxColors = 256) {
+	const pixelCount = rgba.length >> 2;
+	const counts = new Uint32Array(32768);
+	const sums = new Float64Array(32768 * 3);
+	const bins = new Uint16Array(pixelCount);
+
+	for (let i = 0; i < pixelCount; i++) {
+		const r = rgba[i * 4];
+		const g = rgba[i * 4 + 1];
+		const b = rgba[i * 4 + 2];
+		const bin = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+		bins[i] = bin;
+		counts[bin]++;
+		sums[bin * 3] += r;
+		sums[bin * 3 + 1] += g;
+		sums[bin * 3 + 2] += b;
+	}
+
+	/** @type {number[]} */
+	const used = [];
+	for (let bin = 0; bin < 32768; bin++) if (counts[bin] > 0) used.push(bin);
+	const colors = Int32Array.from(used);
+
+	/** @param {number} bin @param {number} axis */
+	const channel = (bin, axis) => (bin >> (10 - axis * 5)) & 31;
+
+	/** @type {Array<{ start: number, end: number, count: number }>} */
+	const boxes = [{ start: 0, end: colors.length, count: pixelCount }];
+
+	while (boxes.length < maxColors) {
+		// Split the most populated box that still holds more than one color
+		let target = -1;
+		for (let i = 0; i < boxes.length; i++) {
+			if (boxes[i].end - boxes[i].start > 1 && (target === -1 || boxes[i].count > boxes[target].count)) target = i;
+		}
+		if (target === -1) break;
+
+		const box = boxes[target];
+		const slice = colors.subarray(box.start, box.end);
+
+		let axis = 0;
+		let widest = -1;
+		for (let a = 0; a < 3; a++) {
+			let lo = 31;
+			let hi = 0;
+			for (const bin of slice) {
+				const v = channel(bin, a);
+				if (v < lo) lo = v;
+				if (v > hi) hi = v;
+			}
+			if (hi - lo > widest) {
+				widest = hi - lo;
+				axis = a;
+			}
+		}
+
+		slice.sort((x, y) => channel(x, axis) - channel(y, axis));
+
+		let half = 0;
+		let split = box.start + 1;
+		for (let i = box.start; i < box.end - 1; i++) {
+			half += counts[colors[i]];
+			split = i + 1;
+			if (half * 2 >= box.count) break;
+		}
+
+		boxes.splice(
+			target,
+			1,
+			{ start: box.start, end: split, count: half },
+			{ start: split, end: box.end, count: box.count - half },
+		);
+	}
+
+	const palette = new Uint8Array(256 * 3);
+	const lookup = new Uint8Array(32768);
+	boxes.forEach((box, index) => {
+		let r = 0;
+		let g = 0;
+		let b = 0;
+		let n = 0;
+		for (let i = box.start; i < box.end; i++) {
+			const bin = colors[i];
+			r += sums[bin * 3];
+			g += sums[bin * 3 + 1];
+			b += sums[bin * 3 + 2];
+			n += counts[bin];
+			lookup[bin] = index;
+		}
+		if (n > 0) {
+			palette[index * 3] = Math.round(r / n);
+			palette[index * 3 + 1] = Math.round(g / n);
+			palette[index * 3 + 2] = Math.round(b / n);
+		}
+	});
+
+	const indices = new Uint8Array(pixelCount);
+	for (let i = 0; i < pixelCount; i++) indices[i] = lookup[bins[i]];
+
+	return { palette, indices };
+}
+
+/**
+ * GIF-flavored LZW, packed into 255-byte sub-blocks
+ * @param {Uint8Array} indices
+ * @param {number} minCodeSize
+ * @returns {Uint8Array<ArrayBuffer>}
+ */
+function lzwEncode(indices, minCodeSize) {
+	const clearCode = 1 << minCodeSize;
+	const endCode = clearCode + 1;
+
+	/** @type {number[]} */
+	const out = [];
+	let bitBuffer = 0;
+	let bitCount = 0;
+	let codeSize = minCodeSize + 1;
+	let nextCode = endCode + 1;
+	/** @type {Map<number, number>} */
+	const table = new Map();
+
+	/** @param {number} code */
+	const emit = (code) => {
+		bitBuffer |= code << bitCount;
+		bitCount += codeSize;
+		while (bitCount >= 8) {
+			out.push(bitBuffer & 0xff);
+			bitBuffer >>>= 8;
+			bitCount -= 8;
+		}
+	};
+
+	emit(clearCode);
+
+	let prefix = indices[0];
+	for (let i = 1; i < indices.length; i++) {
+		const k = indices[i];
+		const key = (prefix << 8) | k;
+		const code = table.get(key);
+		if (code !== undefined) {
+			prefix = code;
+			continue;
+		}
+
+		emit(prefix);
+		if (nextCode === 4096) {
+			emit(clearCode);
+			table.clear();
+			codeSize = minCodeSize + 1;
+			nextCode = endCode + 1;
+		} else {
+			if (nextCode >= 1 << codeSize) codeSize++;
+			table.set(key, nextCode++);
+		}
+		prefix = k;
+	}
+
+	emit(prefix);
+	emit(endCode);
+	if (bitCount > 0) out.push(bitBuffer & 0xff);
+
+	const blocks = new Uint8Array(out.length + Math.ceil(out.length / 255) + 1);
+	let p = 0;
+	for (let i = 0; i < out.length; i += 255) {
+		const size = Math.min(255, out.length - i);
+		blocks[p++] = size;
+		for (let j = 0; j < size; j++) blocks[p++] = out[i + j];
+	}
+	blocks[p] = 0; // block terminator
+	return blocks;
+}
+
+/**
+ * @param {number} width
+ * @param {number} height
+ * @param {{ repeat?: number }} [options] - `repeat` 0 loops forever, -1 plays once
+ */
+export function createGifEncoder(width, height, options = {}) {
+	const { repeat = 0 } = options;
+
+	/** @type {Uint8Array<ArrayBuffer>[]} */
+	const chunks = [];
+
+	const header = new Uint8Array(13);
+	header.set(new TextEncoder().encode("GIF89a"));
+	new DataView(header.buffer).setUint16(6, width, true);
+	new DataView(header.buffer).setUint16(8, height, true);
+	// No global color table; every frame brings its own
+	chunks.push(header);
+
+	if (repeat >= 0) {
+		const loop = new Uint8Array(19);
+		loop.set([0x21, 0xff, 0x0b]);
+		loop.set(new TextEncoder().encode("NETSCAPE2.0"), 3);
+		loop.set([0x03, 0x01, repeat & 0xff, (repeat >> 8) & 0xff, 0x00], 14);
+		chunks.push(loop);
+	}
+
+	/**
+	 * @param {Uint8Array | Uint8ClampedArray} rgba - `width * height * 4` bytes, e.g. `ImageData.data`
+	 * @param {number} delay - Frame duration in milliseconds (stored in 1/100 s)
+	 */
+	function addFrame(rgba, delay) {
+		if (rgba.length !== width * height * 4) {
+			throw new Error(`Expected ${width * height * 4} bytes of RGBA, got ${rgba.length}`);
+		}
+
+		const { palette, indices } = quantize(rgba);
+		const centiseconds = Math.max(2, Math.round(delay / 10));
+
+		const control = new Uint8Array([0x21, 0xf9, 0x04, 0x00, centiseconds & 0xff, centiseconds >> 8, 0x00, 0x00]);
+
+		const descriptor = new Uint8Array(10);
+		const view = new DataView(descriptor.buffer);
+		descriptor[0] = 0x2c;
+		view.setUint16(5, width, true);
+		view.setUint16(7, height, true);
+		descriptor[9] = 0x80 | 7; // local color table of 2^(7 + 1) entries
+
+		chunks.push(control, descriptor, palette, new Uint8Array([8]), lzwEncode(indices, 8));
+	}
+
+	/**
+	 * @returns {Blob}
+	 */
+	function finish() {
+		return new Blob([...chunks, new Uint8Array([0x3b])], { type: "image/gif" });
+	}
+
+	return {
+		addFrame,
+		finish,
+	};
+}
@@ -0,0 +1,376 @@
+/**
+ * @file Composition layouts for the boxes
+ *
+ * Each strategy places `meshesCount` axis-aligned boxes inside `positionRange`
+ * (on every axis) and draws from its own derived streams of the scene RNG, so
+ * a seed always gives the same composition and changing one layout's
+ * parameters never reshuffles the colors or lights.
+ *
+ * Box edges come from `scaleRange * scaleMultiplier`: in world units for
+ * `scatter`, as a fraction of the layout's spacing for the others. They are
+ * always positive, so no box is mirrored inside out.
+ */
+
+/**
+ * @typedef {[x: number, y: number, z: number]} Vec3
+ */
+
+/**
+ * @typedef {Object} BoxPlacement
+ * @property {Vec3} position - Center
+ * @property {Vec3} size - Edge lengths
+ */
+
+/**
+ * @typedef {"scatter" | "jitteredGrid" | "city" | "spiral" | "burst" | "noiseGrid" | "poisson"} LayoutName
+ */
+
+/**
+ * @typedef {Object} LayoutOptions
+ * @property {LayoutName} layout
+ * @property {number} meshesCount - Number of boxes; `poisson` may fit fewer, and overlap avoidance may shrink some away
+ * @property {[min: number, max: number]} positionRange - Per-axis bounds of the layout, in either order
+ * @property {[min: number, max: number]} scaleRange - Per-axis range of box edges, before `scaleMultiplier`, in either order; the sign is ignored
+ * @property {number} scaleMultiplier
+ * @property {number} gridJitter - `jitteredGrid`: offset from the cell centers, in cells
+ * @property {number} cityHeight - `city`: height of the tallest towers, in cells
+ * @property {number} spiralTurns - `spiral`: turns from the center to the rim
+ * @property {number} burstRays - `burst`: number of rays
+ * @property {number} noiseFrequency - `noiseGrid`: frequency of the height field
+ * @property {number} noiseAmplitude - `noiseGrid`: height displacement, as a fraction of the bounds
+ * @property {number} poissonDistance - `poisson`: minimum distance between centers, as a fraction of the average spacing
+ * @property {boolean} avoidOverlap - Shrink boxes that would intersect an earlier one
+ * @property {number} overlapGap - Space kept between boxes when `avoidOverlap` is set, as a fraction of the layout's spacing
+ */
+
+/**
+ * @typedef {Object} Layout
+ * @property {BoxPlacement[]} boxes
+ * @property {number} spacing - Typical distance between neighboring boxes, which relative sizes and gaps scale by
+ */
+
+/**
+ * @callback LayoutStrategy
+ * @param {number} count
+ * @param {LayoutOptions} options
+ * @param {import("./seed-random.js").SeedRandom} random - Derived for this layout; use `random.derive("box", i)` per box
+ * @returns {Layout}
+ */
+
+export const DEFAULT_LAYOUT_OPTIONS = Object.freeze(
+	/** @type {LayoutOptions} */ ({
+		layout: "scatter",
+		meshesCount: 40,
+		positionRange: [-1, 1],
+		scaleRange: [0.05, 1],
+		scaleMultiplier: 0.5,
+		gridJitter: 0.35,
+		cityHeight: 4,
+		spiralTurns: 3,
+		burstRays: 12,
+		noiseFrequency: 1.5,
+		noiseAmplitude: 0.5,
+		poissonDistance: 0.7,
+		avoidOverlap: false,
+		overlapGap: 0.05,
+	}),
+);
+
+/** Option keys that change the layout */
+export const LAYOUT_OPTION_KEYS = /** @type {(keyof LayoutOptions)[]} */ (Object.keys(DEFAULT_LAYOUT_OPTIONS));
+
+/**
+ * @param {LayoutOptions} options
+ */
+function getBounds({ positionRange: [a, b] }) {
+	const min = Math.min(a, b);
+	const max = Math.max(a, b);
+	const extent = max - min;
+	return { min, max, extent, center: (min + max) / 2, half: extent / 2 };
+}
+
+/**
+ * Uniform in the range between `a` and `b`, given in either order.
+ * Panel sliders can meet, so a collapsed range is a constant rather than an error.
+ * @param {import("./seed-random.js").SeedRandom} random
+ * @param {number} a
+ * @param {number} b
+ */
+function uniform(random, a, b) {
+	return a === b ? a : random.between(Math.min(a, b), Math.max(a, b));
+}
+
+/**
+ * Random box edges, `spacing` times the configured scale
+ * @param {import("./seed-random.js").SeedRandom} random
+ * @param {number} spacing
+ * @param {LayoutOptions} options
+ * @returns {Vec3}
+ */
+function randomSize(random, spacing, { scaleRange: [min, max], scaleMultiplier }) {
+	const edge = () => Math.abs(uniform(random, min, max)) * scaleMultiplier * spacing;
+	return [edge(), edge(), edge()];
+}
+
+/**
+ * `count` distinct cell indices out of `cells`, in random order
+ * @param {import("./seed-random.js").SeedRandom} random
+ * @param {number} cells
+ * @param {number} count
+ */
+function pickCells(random, cells, count) {
+	const indices = Array.from({ length: cells }, (_, i) => i);
+	return random.shuffle(indices).slice(0, count);
+}
+
+/** @type {Record<LayoutName, LayoutStrategy>} */
+const LAYOUTS = {
+	// Uniform in the bounds cube
+	scatter(count, options, random) {
+		const { min, max, extent } = getBounds(options);
+		const boxes = Array.from({ length: count }, (_, i) => {
+			const boxRandom = random.derive("box", i);
+			/** @type {Vec3} */
+			const position = [uniform(boxRandom, min, max), uniform(boxRandom, min, max), uniform(boxRandom, min, max)];
+			return { position, size: randomSize(boxRandom, 1, options) };
+		});
+		// Sizes stay in world units; the average spacing only scales the gap
+		return { boxes, spacing: extent / Math.cbrt(Math.max(1, count)) };
+	},
+
+	// Cells of a cube grid, each box nudged off its cell center
+	jitteredGrid(count, options, random) {
+		const { min, extent } = getBounds(options);
+		const cellsPerSide = Math.max(1, Math.ceil(Math.cbrt(count)));
+		const cell = extent / cellsPerSide;
+
+		const boxes = pickCells(random, cellsPerSide ** 3, count).map((index, i) => {
+			const boxRandom = random.derive("box", i);
+			const coords = [
+				index % cellsPerSide,
+				Math.floor(index / cellsPerSide) % cellsPerSide,
+				Math.floor(index / cellsPerSide ** 2),
+			];
+			const position = /** @type {Vec3} */ (
+				coords.map((c) => min + (c + 0.5 + options.gridJitter * boxRandom.between(-0.5, 0.5)) * cell)
+			);
+			return { position, size: randomSize(boxRandom, cell, options) };
+		});
+		return { boxes, spacing: cell };
+	},
+
+	// Towers standing on a ground grid, mostly low with a few tall ones
+	city(count, options, random) {
+		const { min, extent } = getBounds(options);
+		const cellsPerSide = Math.max(1, Math.ceil(Math.sqrt(count)));
+		const cell = extent / cellsPerSide;
+
+		/** @type {BoxPlacement[]} */
+		const boxes = pickCells(random, cellsPerSide ** 2, count).map((index, i) => {
+			const boxRandom = random.derive("box", i);
+			const [width, , depth] = randomSize(boxRandom, cell, options);
+			const height = cell * options.cityHeight * (0.1 + 0.9 * boxRandom.float() ** 3);
+			/** @type {Vec3} */
+			const position = [
+				min + ((index % cellsPerSide) + 0.5) * cell,
+				min + height / 2,
+				min + (Math.floor(index / cellsPerSide) + 0.5) * cell,
+			];
+			return { position, size: [width, height, depth] };
+		});
+		return { boxes, spacing: cell };
+	},
+
+	// A conical spiral: outward in x/z while rising through the bounds
+	spiral(count, options, random) {
+		const { min, extent, center, half } = getBounds(options);
+
+		/** @type {Vec3[]} */
+		const positions = Array.from({ length: count }, (_, i) => {
+			const t = count > 1 ? i / (count - 1) : 0.5;
+			const angle = t * options.spiralTurns * Math.PI * 2;
+			const radius = half * Math.sqrt(t);
+			return [center + radius * Math.cos(angle), min + t * extent, center + radius * Math.sin(angle)];
+		});
+
+		// Size the boxes by the distance between neighbors along the arm
+		let length = 0;
+		for (let i = 1; i < count; i++) {
+			length += Math.hypot(...positions[i].map((v, axis) => v - positions[i - 1][axis]));
+		}
+		const spacing = count > 1 ? length / (count - 1) : extent;
+
+		const boxes = positions.map((position, i) => ({
+			position,
+			size: randomSize(random.derive("box", i), spacing, options),
+		}));
+		return { boxes, spacing };
+	},
+
+	// Rays out of the center, boxes thinning out towards the tips
+	burst(count, options, random) {
+		const { center, half } = getBounds(options);
+		const rays = Math.max(1, Math.round(options.burstRays));
+		const directions = Array.from({ length: rays }, () => random.onSphere());
+		const steps = Math.max(1, Math.ceil(count / rays));
+		const spacing = half / steps;
+
+		const boxes = Array.from({ length: count }, (_, i) => {
+			const boxRandom = random.derive("box", i);
+			const direction = directions[i % rays];
+			const t = (Math.floor(i / rays) + 0.5 + boxRandom.between(-0.25, 0.25)) / steps;
+			const position = /** @type {Vec3} */ (direction.map((v) => center + v * half * t));
+			const size = /** @type {Vec3} */ (randomSize(boxRandom, spacing, options).map((v) => v * (1 - 0.5 * t)));
+			return { position, size };
+		});
+		return { boxes, spacing };
+	},
+
+	// A ground grid whose heights follow a noise field
+	noiseGrid(count, options, random) {
+		const { min, extent, center, half } = getBounds(options);
+		const cellsPerSide = Math.max(1, Math.ceil(Math.sqrt(count)));
+		const cell = extent / cellsPerSide;
+
+		/** @type {BoxPlacement[]} */
+		const boxes = Array.from({ length: count }, (_, index) => {
+			const x = min + ((index % cellsPerSide) + 0.5) * cell;
+			const z = min + (Math.floor(index / cellsPerSide) + 0.5) * cell;
+			const y = center + half * options.noiseAmplitude * random.noise2D(x, z, options.noiseFrequency);
+			return { position: [x, y, z], size: randomSize(random.derive("box", index), cell, options) };
+		});
+		return { boxes, spacing: cell };
+	},
+
+	// Blue-noise points: evenly spread without the regularity of a grid
+	poisson(count, options, random) {
+		const { min, max, extent } = getBounds(options);
+		// A point has room for no spacing, so the relative sizes would all be zero anyway
+		if (count === 0 || extent === 0) return { boxes: [], spacing: extent };
+
+		const minDistance = (options.poissonDistance * extent) / Math.cbrt(count);
+		const points = random.poissonDisc({ min: [min, min, min], max: [max, max, max], minDistance, maxPoints: count });
+
+		const boxes = points.map((point, i) => ({
+			position: /** @type {Vec3} */ (point),
+			size: randomSize(random.derive("box", i), minDistance, options),
+		}));
+		return { boxes, spacing: minDistance };
+	},
+};
+
+/** @type {LayoutName[]} */
+export const LAYOUT_NAMES = /** @type {LayoutName[]} */ (Object.keys(LAYOUTS));
+
+/**
+ * Required shrink factor for box `a` to clear box `b` by `gap`
+ * @param {BoxPlacement} a
+ * @param {BoxPlacement} b
+ * @param {number} gap
+ * @returns {number} 1 if they are already apart, 0 if `a` must vanish
+ */
+function clearance(a, b, gap) {
+	let best = -Infinity;
+	for (let axis = 0; axis < 3; axis++) {
+		const distance = Math.abs(a.position[axis] - b.position[axis]);
+		const reach = b.size[axis] / 2 + gap;
+		const half = a.size[axis] / 2;
+		// Boxes are apart once they are apart along any one axis
+		const factor = half > 0 ? (distance - reach) / half : distance >= reach ? Infinity : -Infinity;
+		if (factor > best) best = factor;
+	}
+	return Math.min(1, Math.max(0, best));
+}
+
+/**
+ * Shrink each box, about its center, until it clears every earlier box by
+ * `gap`. Boxes whose center lies inside an earlier box shrink to nothing.
+ * Boxes that are already flat along an axis are kept as they are and never
+ * block later boxes.
+ * @param {BoxPlacement[]} boxes
+ * @param {number} [gap=0]
+ * @returns {BoxPlacement[]} New placements, in the same order
+ */
+export function avoidOverlaps(boxes, gap = 0) {
+	if (boxes.length === 0) return [];
+
+	// Cells around the median box size, or the average spacing when boxes are
+	// crowded, but never so small that the largest box spans over 8 a side
+	const edges = boxes.map(({ size }) => Math.max(...size)).sort((a, b) => a - b);
+	const spread = [0, 1, 2].map((axis) => {
+		const values = boxes.map(({ position }) => position[axis]);
+		return Math.max(...values) - Math.min(...values);
+	});
+	const spacing = Math.cbrt((spread[0] * spread[1] * spread[2]) / boxes.length);
+	const cell = Math.max(Math.min(edges[edges.length >> 1] + gap, spacing), edges[edges.length - 1] / 8, 1e-6);
+
+	// Colliding cell hashes only cost extra comparisons
+	/** @type {Map<number, number[]>} */
+	const grid = new Map();
+	/** @type {BoxPlacement[]} */
+	const placed = [];
+	// Last box that checked each placed box, so neighbors are only compared once
+	const visited = new Int32Array(boxes.length).fill(-1);
+
+	/**
+	 * @param {BoxPlacement} box
+	 * @param {number} margin
+	 * @param {(key: number) => void} fn
+	 */
+	const forEachCell = ({ position, size }, margin, fn) => {
+		const lo = position.map((v, axis) => Math.floor((v - size[axis] / 2 - margin) / cell));
+		const hi = position.map((v, axis) => Math.floor((v + size[axis] / 2 + margin) / cell));
+		for (let x = lo[0]; x <= hi[0]; x++) {
+			for (let y = lo[1]; y <= hi[1]; y++) {
+				for (let z = lo[2]; z <= hi[2]; z++) fn((x * 73856093) ^ (y * 19349663) ^ (z * 83492791));
+			}
+		}
+	};
+
+	boxes.forEach((box, i) => {
+		if (box.size.some((v) => v <= 0)) {
+			placed.push({ position: box.position, size: /** @type {Vec3} */ (box.size.slice()) });
+			return;
+		}
+
+		let factor = 1;
+		forEachCell(box, gap, (key) => {
+			if (factor === 0) return;
+			for (const j of grid.get(key) ?? []) {
+				if (visited[j] === i) continue;
+				visited[j] = i;
+				factor = Math.min(factor, clearance(box, placed[j], gap));
+			}
+		});
+
+		/** @type {BoxPlacement} */
+		const result = { position: box.position, size: /** @type {Vec3} */ (box.size.map((v) => v * factor)) };
+		placed.push(result);
+		if (factor === 0) return;
+		forEachCell(result, 0, (key) => {
+			const cellBoxes = grid.get(key);
+			if (cellBoxes) cellBoxes.push(i);
+			else grid.set(key, [i]);
+		});
+	});
+
+	return placed;
+}
+
+/**
+ * Place the boxes of a scene. Boxes that overlap avoidance shrinks away keep
+ * their slot with a zero size, so box `i` is the same box for any gap.
+ * @param {LayoutOptions} options
+ * @param {import("./seed-random.js").SeedRandom} rng - Scene RNG; the layout derives its own streams
+ * @returns {BoxPlacement[]}
+ */
+export function computeLayout(options, rng) {
+	const strategy = LAYOUTS[options.layout];
+	if (!strategy) {
+		throw new Error(`Unknown layout: ${options.layout}`);
+	}
+
+	const count = Math.max(0, Math.floor(options.meshesCount));
+	const { boxes, spacing } = strategy(count, options, rng.derive("layout", options.layout));
+	return options.avoidOverlap ? avoidOverlaps(boxes, options.overlapGap * spacing) : boxes;
+}
@@ -1,6 +1,27 @@
-import { createCanvasSaver } from "./create-canvas-saver.js";
+import palettes from "nice-color-palettes";
+import { CAMERA_PRESETS, parseCameraState, serializeCameraState } from "./camera-rig.js";
+import { createCanvasSaver, downloadBlob } from "./create-canvas-saver.js";
+import { createFrameRecorder } from "./frame-recorder.js";
+import { LAYOUT_NAMES } from "./layouts.js";
+import { createParameterPanel } from "./parameter-panel.js";
+import { POST_PASS_NAMES } from "./post-processing.js";
+import { SeedRandom } from "./seed-random.js";
 import "./style.css";
 import { setupThreeCanvas } from "./three-canvas.js";
+import { createTimelineControls } from "./timeline-controls.js";
+import { readUrlParam, writeUrlParams } from "./url-state.js";
+
+/**
+ * Short numeric seed, easy to read in URLs and filenames
+ * @returns {string}
+ */
+function createSeed() {
+  return String(new SeedRandom(null).int(0, 999999));
+}
+
+let seed = readUrlParam("seed") || createSeed();
+writeUrlParams({ seed });
+console.log(`Random seed used here: ${seed}`);
 
 const appElem = document.querySelector("#app");
 
@@ -26,15 +47,279 @@ if (!canvasElem || !(canvasElem instanceof HTMLCanvasElement)) {
   throw new Error("Canvas element not found");
 }
 
-const { onKeyDown } = createCanvasSaver(canvasElem);
+const {
+  dispose,
+  update,
+  getOptions,
+  timeline,
+  renderFrame,
+  requestCapture,
+  renderTiled,
+  exportModel,
+  loadLut,
+  cameraRig,
+} = setupThreeCanvas(canvasElem, canvasContainerElem, { seed });
+
+// Shared links open on the same view; orbiting or picking a preset updates the link
+const initialCameraState = parseCameraState(readUrlParam("camera"));
+if (initialCameraState) cameraRig.setState(initialCameraState);
+const stopCameraSync = cameraRig.subscribe((state) => writeUrlParams({ camera: serializeCameraState(state) }));
+// Number keys 1-5 switch camera presets
+window.addEventListener("keydown", cameraRig.onKeyDown);
+
+const statusElem = Object.assign(document.createElement("output"), { className: "export-status", hidden: true });
+appElem.append(statusElem);
+/** @type {ReturnType<typeof setTimeout> | undefined} */
+let statusTimer;
+
+/**
+ * Show a line of export progress; it hides itself once updates stop,
+ * including when an export fails halfway
+ * @param {string} text
+ */
+function showStatus(text) {
+  statusElem.value = text;
+  statusElem.hidden = false;
+  clearTimeout(statusTimer);
+  statusTimer = setTimeout(() => {
+    statusElem.hidden = true;
+  }, 2000);
+}
+
+const { onKeyDown } = createCanvasSaver(canvasElem, {
+  seed: () => seed,
+  requestCapture,
+  renderTiled,
+  highRes: { width: 8000, height: 8000 },
+  onProgress: (done, total) => showStatus(`Rendering high-res image: tile ${done} / ${total}`),
+});
 window.addEventListener("keydown", onKeyDown);
 
-const { dispose } = setupThreeCanvas(canvasElem, canvasContainerElem);
+/**
+ * Pick a new seed and keep the URL shareable
+ */
+function reroll() {
+  seed = createSeed();
+  writeUrlParams({ seed });
+  console.log(`Random seed used here: ${seed}`);
+  update({ seed });
+}
+
+/**
+ * "R" rerolls the seed
+ * @param {KeyboardEvent} e
+ */
+function onRerollKeyDown(e) {
+  if (e.key.toLowerCase() !== "r" || e.ctrlKey || e.metaKey || e.altKey) return;
+  if (
+    e.target instanceof HTMLInputElement ||
+    e.target instanceof HTMLTextAreaElement ||
+    e.target instanceof HTMLSelectElement
+  ) {
+    return;
+  }
+
+  reroll();
+}
+window.addEventListener("keydown", onRerollKeyDown);
+
+const timelineControls = createTimelineControls(appElem, timeline);
+window.addEventListener("keydown", timelineControls.onKeyDown);
+
+const recorder = createFrameRecorder(canvasElem, {
+  timeline,
+  renderFrame,
+  seed: () => seed,
+  freeze: cameraRig.freeze,
+  onProgress: (done, total, format) => showStatus(`Recording ${format}: frame ${done} / ${total}`),
+  onError: (error, format) => {
+    console.error(`Failed to record ${format}`, error);
+    showStatus(`Recording ${format} failed: ${error instanceof Error ? error.message : error}`);
+  },
+});
+window.addEventListener("keydown", recorder.onKeyDown);
+
+/** @type {import("./parameter-panel.js").ParameterDefinition[]} */
+const panelParameters = [
+  {
+    type: "select",
+    key: "paletteIndex",
+    label: "palette",
+    choices: [
+      { label: "From seed", value: null },
+      ...palettes.map((palette, i) => ({ label: `${i}: ${palette.join(" ")}`, value: i })),
+    ],
+  },
+  {
+    type: "select",
+    key: "harmony",
+    choices: [
+      { label: "Palette as is", value: null },
+      ...["analogous", "complementary", "split-complementary", "triadic", "tetradic"].map((type) => ({
+        label: type,
+        value: type,
+      })),
+    ],
+  },
+  {
+    type: "select",
+    key: "paletteBackground",
+    label: "background from",
+    choices: [
+      { label: "Color below", value: false },
+      { label: "Palette", value: true },
+    ],
+  },
+  { type: "color", key: "clearColor", label: "background" },
+  {
+    type: "select",
+    key: "instanced",
+    label: "render path",
+    choices: [
+      { label: "Meshes", value: false },
+      { label: "Instanced", value: true },
+    ],
+  },
+  // Every step rebuilds the layout, so this applies on release
+  { type: "range", key: "meshesCount", label: "meshes", min: 1, max: 60000, step: 1, live: false },
+  {
+    type: "select",
+    key: "layout",
+    choices: LAYOUT_NAMES.map((name) => ({ label: name, value: name })),
+  },
+  // Layouts of tens of thousands of boxes take seconds, so these apply on release
+  { type: "range", key: "gridJitter", label: "grid jitter", min: 0, max: 1, live: false },
+  { type: "range", key: "cityHeight", label: "city height", min: 0.5, max: 12, step: 0.5, live: false },
+  { type: "range", key: "spiralTurns", label: "spiral turns", min: 0.5, max: 12, step: 0.5, live: false },
+  { type: "range", key: "burstRays", label: "burst rays", min: 1, max: 64, step: 1, live: false },
+  { type: "range", key: "noiseFrequency", label: "noise freq", min: 0, max: 6, step: 0.1, live: false },
+  { type: "range", key: "noiseAmplitude", label: "noise height", min: 0, max: 1, live: false },
+  { type: "range", key: "poissonDistance", label: "poisson spacing", min: 0.3, max: 1.2, live: false },
+  {
+    type: "select",
+    key: "avoidOverlap",
+    label: "overlaps",
+    choices: [
+      { label: "Allowed", value: false },
+      { label: "Shrink to fit", value: true },
+    ],
+  },
+  { type: "range", key: "overlapGap", label: "overlap gap", min: 0, max: 0.5, step: 0.01, live: false },
+  { type: "range", key: "positionRange", index: 0, label: "position min", min: -3, max: 0, live: false, ordered: true },
+  { type: "range", key: "positionRange", index: 1, label: "position max", min: 0, max: 3, live: false, ordered: true },
+  { type: "range", key: "scaleRange", index: 0, label: "scale min", min: 0.01, max: 2, live: false, ordered: true },
+  { type: "range", key: "scaleRange", index: 1, label: "scale max", min: 0.01, max: 2, live: false, ordered: true },
+  { type: "range", key: "scaleMultiplier", label: "scale multiplier", min: 0.05, max: 2, live: false },
+  { type: "range", key: "zoom", min: 0.1, max: 2 },
+  { type: "range", key: "lightIntensity", label: "light", min: 0, max: 3 },
+  { type: "range", key: "shadingAmbient", label: "ambient shading", min: 0, max: 1 },
+  { type: "range", key: "fieldFrequency", index: 0, label: "field freq x", min: 0, max: 12, step: 0.1 },
+  { type: "range", key: "fieldFrequency", index: 1, label: "field freq y", min: 0, max: 12, step: 0.1 },
+  { type: "range", key: "fieldGain", label: "field gain", min: 0, max: 10, step: 0.1 },
+  { type: "range", key: "accentMix", label: "accent mix", min: 0, max: 1 },
+  { type: "range", key: "pulseStrength", label: "pulse", min: 0, max: 1 },
+  { type: "range", key: "easing", index: 0, label: "ease x1", min: 0, max: 1 },
+  { type: "range", key: "easing", index: 1, label: "ease y1", min: -0.5, max: 1.5 },
+  { type: "range", key: "easing", index: 2, label: "ease x2", min: 0, max: 1 },
+  { type: "range", key: "easing", index: 3, label: "ease y2", min: -0.5, max: 1.5 },
+  { type: "range", key: "duration", label: "loop seconds", min: 1, max: 20, step: 0.5 },
+  ...POST_PASS_NAMES.map((name) => /** @type {const} */ ({ type: "flag", key: "postPasses", value: name })),
+  { type: "range", key: "gradeContrast", label: "contrast", min: 0.5, max: 1.5 },
+  { type: "range", key: "gradeSaturation", label: "saturation", min: 0, max: 2 },
+  { type: "range", key: "lutIntensity", label: "LUT mix", min: 0, max: 1 },
+  { type: "range", key: "chromaticAberration", label: "aberration px", min: 0, max: 12, step: 0.25 },
+  { type: "range", key: "vignetteStrength", label: "vignette", min: 0, max: 1 },
+  { type: "range", key: "vignetteRadius", label: "vignette radius", min: 0, max: 1 },
+  { type: "range", key: "grainAmount", label: "grain", min: 0, max: 0.3, step: 0.005 },
+  { type: "range", key: "grainSize", label: "grain size", min: 1, max: 4, step: 0.25 },
+  {
+    type: "select",
+    key: "ditherMode",
+    label: "dither",
+    choices: [
+      { label: "Blue noise", value: "blueNoise" },
+      { label: "Ordered (Bayer)", value: "bayer" },
+    ],
+  },
+  { type: "range", key: "ditherLevels", label: "dither levels", min: 2, max: 256, step: 1 },
+  {
+    type: "select",
+    key: "fixedTimestep",
+    label: "timestep",
+    choices: [
+      { label: "Real time", value: false },
+      { label: "Fixed (1 / fps)", value: true },
+    ],
+  },
+];
+
+/**
+ * Download the current arrangement as a 3D model
+ * @param {import("./scene-export.js").ModelFormat} format
+ */
+function downloadModel(format) {
+  const name = `sketch_${seed}`;
+  exportModel(format, name)
+    .then(({ blob, extension }) => downloadBlob(blob, `${name}.${extension}`))
+    .catch((error) => console.error(`Failed to export ${format}`, error));
+}
+
+/**
+ * Load a `.cube` LUT and turn on the color grade pass
+ */
+function pickLut() {
+  const input = Object.assign(document.createElement("input"), { type: "file", accept: ".cube" });
+  input.addEventListener("change", async () => {
+    const file = input.files?.[0];
+    if (!file) return;
+    try {
+      await loadLut(await file.text());
+    } catch (error) {
+      console.error("Failed to load LUT", error);
+      return;
+    }
+    const { postPasses } = getOptions();
+    if (!postPasses.includes("colorGrade")) {
+      const next = POST_PASS_NAMES.filter((name) => name === "colorGrade" || postPasses.includes(name));
+      update({ postPasses: next });
+      panel.setValues({ postPasses: next });
+    }
+  });
+  input.click();
+}
+
+const panel = createParameterPanel(appElem, {
+  parameters: panelParameters,
+  values: { ...getOptions() },
+  onChange: (changes) => update(changes),
+  onReseed: reroll,
+  actions: [
+    { label: "GLB", onClick: () => downloadModel("glb") },
+    { label: "glTF", onClick: () => downloadModel("gltf") },
+    { label: "OBJ", onClick: () => downloadModel("obj") },
+    { label: "LUT…", onClick: pickLut },
+    { label: "No LUT", onClick: () => loadLut(null) },
+    ...Object.entries(CAMERA_PRESETS).map(([name, preset]) => ({
+      label: `${preset.label} (${preset.key})`,
+      onClick: () => cameraRig.applyPreset(/** @type {keyof typeof CAMERA_PRESETS} */ (name)),
+    })),
+  ],
+  storageKey: "three-dimensional-thinking:presets",
+});
 
 // Optional: expose for Vite HMR debugging
 if (import.meta.hot) {
   import.meta.hot.dispose(() => {
     dispose();
+    panel.dispose();
+    timelineControls.dispose();
+    window.removeEventListener("keydown", timelineControls.onKeyDown);
+    window.removeEventListener("keydown", recorder.onKeyDown);
     window.removeEventListener("keydown", onKeyDown);
+    window.removeEventListener("keydown", onRerollKeyDown);
+    window.removeEventListener("keydown", cameraRig.onKeyDown);
+    stopCameraSync();
+    clearTimeout(statusTimer);
+    statusElem.remove();
   });
 }
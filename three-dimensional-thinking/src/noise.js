@@ -0,0 +1,409 @@
+/**
+ * @file Seedable gradient noise
+ *
+ * Simplex noise in 2D/3D/4D (after Stefan Gustavson's reference implementation),
+ * 1D gradient noise, and fractal helpers built on top of them.
+ *
+ * The permutation table is built from the `random` function passed to `createNoise`,
+ * so the same random stream always produces the same noise field.
+ */
+
+/* -------------------------------------------------- */
+/* Types (TypeScript via JSDoc)                       */
+/* -------------------------------------------------- */
+
+/**
+ * @typedef {Object} NoiseFunctions
+ * @property {(x: number) => number} noise1D - value in [-1, 1]
+ * @property {(x: number, y: number) => number} noise2D - value in [-1, 1]
+ * @property {(x: number, y: number, z: number) => number} noise3D - value in [-1, 1]
+ * @property {(x: number, y: number, z: number, w: number) => number} noise4D - value in [-1, 1]
+ */
+
+/**
+ * @typedef {Object} FractalOptions
+ * @property {number} [octaves=4] - Number of noise layers
+ * @property {number} [frequency=1] - Frequency of the first octave
+ * @property {number} [amplitude=1] - Scale of the final value
+ * @property {number} [lacunarity=2] - Frequency multiplier per octave
+ * @property {number} [gain=0.5] - Amplitude multiplier per octave
+ */
+
+/**
+ * @typedef {FractalOptions & { strength?: number }} DomainWarpOptions
+ */
+
+/* -------------------------------------------------- */
+/* Tables                                             */
+/* -------------------------------------------------- */
+
+const F2 = 0.5 * (Math.sqrt(3) - 1);
+const G2 = (3 - Math.sqrt(3)) / 6;
+const F3 = 1 / 3;
+const G3 = 1 / 6;
+const F4 = (Math.sqrt(5) - 1) / 4;
+const G4 = (5 - Math.sqrt(5)) / 20;
+
+// prettier-ignore
+const GRAD3 = new Float64Array([
+	1, 1, 0, -1, 1, 0, 1, -1, 0, -1, -1, 0,
+	1, 0, 1, -1, 0, 1, 1, 0, -1, -1, 0, -1,
+	0, 1, 1, 0, -1, 1, 0, 1, -1, 0, -1, -1,
+]);
+
+// prettier-ignore
+const GRAD4 = new Float64Array([
+	0, 1, 1, 1, 0, 1, 1, -1, 0, 1, -1, 1, 0, 1, -1, -1,
+	0, -1, 1, 1, 0, -1, 1, -1, 0, -1, -1, 1, 0, -1, -1, -1,
+	1, 0, 1, 1, 1, 0, 1, -1, 1, 0, -1, 1, 1, 0, -1, -1,
+	-1, 0, 1, 1, -1, 0, 1, -1, -1, 0, -1, 1, -1, 0, -1, -1,
+	1, 1, 0, 1, 1, 1, 0, -1, 1, -1, 0, 1, 1, -1, 0, -1,
+	-1, 1, 0, 1, -1, 1, 0, -1, -1, -1, 0, 1, -1, -1, 0, -1,
+	1, 1, 1, 0, 1, 1, -1, 0, 1, -1, 1, 0, 1, -1, -1, 0,
+	-1, 1, 1, 0, -1, 1, -1, 0, -1, -1, 1, 0, -1, -1, -1, 0,
+]);
+
+// Offsets used to decorrelate the per-axis fields of a domain warp
+const WARP_OFFSETS = [0, 5.2, 1.3, 9.7, 2.8, 7.1, 4.6, 3.4];
+
+/**
+ * Build a doubled 256-entry permutation table (Fisher–Yates).
+ * @param {() => number} random - float in [0, 1)
+ * @returns {Uint8Array}
+ */
+function buildPermutationTable(random) {
+	const p = new Uint8Array(512);
+	for (let i = 0; i < 256; i++) p[i] = i;
+
+	for (let i = 255; i > 0; i--) {
+		const j = Math.floor(random() * (i + 1));
+		const tmp = p[i];
+		p[i] = p[j];
+		p[j] = tmp;
+	}
+
+	for (let i = 256; i < 512; i++) p[i] = p[i - 256];
+	return p;
+}
+
+/* -------------------------------------------------- */
+/* Noise                                              */
+/* -------------------------------------------------- */
+
+/**
+ * Create a set of noise functions sharing one permutation table.
+ *
+ * Consumes exactly 255 values from `random`.
+ *
+ * @param {() => number} random - float in [0, 1)
+ * @returns {NoiseFunctions}
+ */
+export function createNoise(random) {
+	const perm = buildPermutationTable(random);
+
+	/** @param {number} x */
+	function noise1D(x) {
+		const i0 = Math.floor(x);
+		const x0 = x - i0;
+		const x1 = x0 - 1;
+		const ii = i0 & 255;
+
+		/**
+		 * @param {number} hash
+		 * @param {number} d
+		 */
+		const grad = (hash, d) => {
+			const h = hash & 15;
+			const g = 1 + (h & 7);
+			return (h & 8 ? -g : g) * d;
+		};
+
+		let t0 = 1 - x0 * x0;
+		t0 *= t0;
+		const n0 = t0 * t0 * grad(perm[ii], x0);
+
+		let t1 = 1 - x1 * x1;
+		t1 *= t1;
+		const n1 = t1 * t1 * grad(perm[ii + 1], x1);
+
+		return 0.395 * (n0 + n1);
+	}
+
+	/**
+	 * @param {number} x
+	 * @param {number} y
+	 */
+	function noise2D(x, y) {
+		const s = (x + y) * F2;
+		const i = Math.floor(x + s);
+		const j = Math.floor(y + s);
+		const t = (i + j) * G2;
+		const x0 = x - (i - t);
+		const y0 = y - (j - t);
+
+		const i1 = x0 > y0 ? 1 : 0;
+		const j1 = 1 - i1;
+
+		const x1 = x0 - i1 + G2;
+		const y1 = y0 - j1 + G2;
+		const x2 = x0 - 1 + 2 * G2;
+		const y2 = y0 - 1 + 2 * G2;
+
+		const ii = i & 255;
+		const jj = j & 255;
+
+		let n = 0;
+
+		let t0 = 0.5 - x0 * x0 - y0 * y0;
+		if (t0 > 0) {
+			const g = (perm[ii + perm[jj]] % 12) * 3;
+			t0 *= t0;
+			n += t0 * t0 * (GRAD3[g] * x0 + GRAD3[g + 1] * y0);
+		}
+
+		let t1 = 0.5 - x1 * x1 - y1 * y1;
+		if (t1 > 0) {
+			const g = (perm[ii + i1 + perm[jj + j1]] % 12) * 3;
+			t1 *= t1;
+			n += t1 * t1 * (GRAD3[g] * x1 + GRAD3[g + 1] * y1);
+		}
+
+		let t2 = 0.5 - x2 * x2 - y2 * y2;
+		if (t2 > 0) {
+			const g = (perm[ii + 1 + perm[jj + 1]] % 12) * 3;
+			t2 *= t2;
+			n += t2 * t2 * (GRAD3[g] * x2 + GRAD3[g + 1] * y2);
+		}
+
+		return 70 * n;
+	}
+
+	/**
+	 * @param {number} x
+	 * @param {number} y
+	 * @param {number} z
+	 */
+	function noise3D(x, y, z) {
+		const s = (x + y + z) * F3;
+		const i = Math.floor(x + s);
+		const j = Math.floor(y + s);
+		const k = Math.floor(z + s);
+		const t = (i + j + k) * G3;
+		const x0 = x - (i - t);
+		const y0 = y - (j - t);
+		const z0 = z - (k - t);
+
+		let i1, j1, k1, i2, j2, k2;
+		if (x0 >= y0) {
+			if (y0 >= z0) {
+				[i1, j1, k1, i2, j2, k2] = [1, 0, 0, 1, 1, 0];
+			} else if (x0 >= z0) {
+				[i1, j1, k1, i2, j2, k2] = [1, 0, 0, 1, 0, 1];
+			} else {
+				[i1, j1, k1, i2, j2, k2] = [0, 0, 1, 1, 0, 1];
+			}
+		} else if (y0 < z0) {
+			[i1, j1, k1, i2, j2, k2] = [0, 0, 1, 0, 1, 1];
+		} else if (x0 < z0) {
+			[i1, j1, k1, i2, j2, k2] = [0, 1, 0, 0, 1, 1];
+		} else {
+			[i1, j1, k1, i2, j2, k2] = [0, 1, 0, 1, 1, 0];
+		}
+
+		const corners = [
+			[x0, y0, z0, 0, 0, 0],
+			[x0 - i1 + G3, y0 - j1 + G3, z0 - k1 + G3, i1, j1, k1],
+			[x0 - i2 + 2 * G3, y0 - j2 + 2 * G3, z0 - k2 + 2 * G3, i2, j2, k2],
+			[x0 - 1 + 3 * G3, y0 - 1 + 3 * G3, z0 - 1 + 3 * G3, 1, 1, 1],
+		];
+
+		const ii = i & 255;
+		const jj = j & 255;
+		const kk = k & 255;
+
+		let n = 0;
+		for (const [cx, cy, cz, di, dj, dk] of corners) {
+			let tc = 0.6 - cx * cx - cy * cy - cz * cz;
+			if (tc <= 0) continue;
+			const g = (perm[ii + di + perm[jj + dj + perm[kk + dk]]] % 12) * 3;
+			tc *= tc;
+			n += tc * tc * (GRAD3[g] * cx + GRAD3[g + 1] * cy + GRAD3[g + 2] * cz);
+		}
+
+		return 32 * n;
+	}
+
+	/**
+	 * @param {number} x
+	 * @param {number} y
+	 * @param {number} z
+	 * @param {number} w
+	 */
+	function noise4D(x, y, z, w) {
+		const s = (x + y + z + w) * F4;
+		const i = Math.floor(x + s);
+		const j = Math.floor(y + s);
+		const k = Math.floor(z + s);
+		const l = Math.floor(w + s);
+		const t = (i + j + k + l) * G4;
+		const x0 = x - (i - t);
+		const y0 = y - (j - t);
+		const z0 = z - (k - t);
+		const w0 = w - (l - t);
+
+		// Rank the coordinates to find which simplex we're in
+		let rankx = 0,
+			ranky = 0,
+			rankz = 0,
+			rankw = 0;
+		if (x0 > y0) rankx++;
+		else ranky++;
+		if (x0 > z0) rankx++;
+		else rankz++;
+		if (x0 > w0) rankx++;
+		else rankw++;
+		if (y0 > z0) ranky++;
+		else rankz++;
+		if (y0 > w0) ranky++;
+		else rankw++;
+		if (z0 > w0) rankz++;
+		else rankw++;
+
+		const ii = i & 255;
+		const jj = j & 255;
+		const kk = k & 255;
+		const ll = l & 255;
+
+		let n = 0;
+		for (let c = 0; c <= 4; c++) {
+			// Corner c steps along every axis whose rank is at least 4 - c
+			const threshold = 4 - c;
+			const di = c === 0 ? 0 : rankx >= threshold ? 1 : 0;
+			const dj = c === 0 ? 0 : ranky >= threshold ? 1 : 0;
+			const dk = c === 0 ? 0 : rankz >= threshold ? 1 : 0;
+			const dl = c === 0 ? 0 : rankw >= threshold ? 1 : 0;
+
+			const cx = x0 - di + c * G4;
+			const cy = y0 - dj + c * G4;
+			const cz = z0 - dk + c * G4;
+			const cw = w0 - dl + c * G4;
+
+			let tc = 0.6 - cx * cx - cy * cy - cz * cz - cw * cw;
+			if (tc <= 0) continue;
+			const g = (perm[ii + di + perm[jj + dj + perm[kk + dk + perm[ll + dl]]]] % 32) * 4;
+			tc *= tc;
+			n += tc * tc * (GRAD4[g] * cx + GRAD4[g + 1] * cy + GRAD4[g + 2] * cz + GRAD4[g + 3] * cw);
+		}
+
+		return 27 * n;
+	}
+
+	return { noise1D, noise2D, noise3D, noise4D };
+}
+
+/**
+ * Sample the noise function matching the point's dimension.
+ * @param {NoiseFunctions} noise
+ * @param {number[]} point - 1 to 4 coordinates
+ * @param {number} frequency
+ * @param {number} [offset=0] - Added to every coordinate
+ * @returns {number}
+ */
+export function sampleNoise(noise, point, frequency, offset = 0) {
+	const [x, y, z, w] = point.map((v) => v * frequency + offset);
+	switch (point.length) {
+		case 1:
+			return noise.noise1D(x);
+		case 2:
+			return noise.noise2D(x, y);
+		case 3:
+			return noise.noise3D(x, y, z);
+		case 4:
+			return noise.noise4D(x, y, z, w);
+		default:
+			throw new Error(`Noise point must have 1 to 4 coordinates, got ${point.length}`);
+	}
+}
+
+/* -------------------------------------------------- */
+/* Fractal helpers                                    */
+/* -------------------------------------------------- */
+
+/**
+ * Sum `octaves` layers of noise, passing each sample through `shape`.
+ * Normalized by the total octave weight.
+ *
+ * @param {NoiseFunctions} noise
+ * @param {number[]} point
+ * @param {FractalOptions} options
+ * @param {(n: number) => number} shape
+ */
+function fractal(noise, point, options, shape) {
+	const { octaves = 4, frequency = 1, amplitude = 1, lacunarity = 2, gain = 0.5 } = options;
+	if (octaves < 1) {
+		throw new Error(`Invalid octaves: ${octaves}`);
+	}
+
+	let sum = 0;
+	let norm = 0;
+	let freq = frequency;
+	let amp = 1;
+	for (let o = 0; o < octaves; o++) {
+		sum += amp * shape(sampleNoise(noise, point, freq));
+		norm += amp;
+		freq *= lacunarity;
+		amp *= gain;
+	}
+
+	return (sum / norm) * amplitude;
+}
+
+/**
+ * Fractional Brownian motion, value in [-amplitude, amplitude]
+ * @param {NoiseFunctions} noise
+ * @param {number[]} point
+ * @param {FractalOptions} [options]
+ */
+export function fbm(noise, point, options = {}) {
+	return fractal(noise, point, options, (n) => n);
+}
+
+/**
+ * Ridged multifractal, value in [0, amplitude] with sharp crests
+ * @param {NoiseFunctions} noise
+ * @param {number[]} point
+ * @param {FractalOptions} [options]
+ */
+export function ridged(noise, point, options = {}) {
+	return fractal(noise, point, options, (n) => (1 - Math.abs(n)) ** 2);
+}
+
+/**
+ * Turbulence (sum of absolute noise), value in [0, amplitude]
+ * @param {NoiseFunctions} noise
+ * @param {number[]} point
+ * @param {FractalOptions} [options]
+ */
+export function turbulence(noise, point, options = {}) {
+	return fractal(noise, point, options, Math.abs);
+}
+
+/**
+ * Domain warping: offset the point by one fBm field per axis, then sample fBm there.
+ * Value in [-amplitude, amplitude].
+ *
+ * @param {NoiseFunctions} noise
+ * @param {number[]} point
+ * @param {DomainWarpOptions} [options]
+ */
+export function domainWarp(noise, point, options = {}) {
+	const { strength = 1, amplitude = 1, ...fractalOptions } = options;
+
+	const warped = point.map((v, axis) => {
+		const offset = WARP_OFFSETS[axis * 2];
+		const shifted = point.map((p, i) => p + offset + WARP_OFFSETS[i * 2 + 1]);
+		return v + strength * fbm(noise, shifted, fractalOptions);
+	});
+
+	return fbm(noise, warped, { ...fractalOptions, amplitude });
+}
@@ -0,0 +1,350 @@
+/**
+ * @file Dependency-free parameter panel
+ *
+ * Sliders, color pickers, selects and checkboxes bound to a flat options object, plus an
+ * optional reseed button and presets saved to `localStorage`.
+ * Every edit calls `onChange` with only the changed option, so the scene can
+ * rebuild just what depends on it.
+ */
+
+/**
+ * @typedef {Object} RangeParameter
+ * @property {"range"} type
+ * @property {string} key - Option name
+ * @property {number} [index] - Element of a tuple option, e.g. `0` for `scaleRange[0]`
+ * @property {string} [label]
+ * @property {number} min
+ * @property {number} max
+ * @property {number} [step=0.01]
+ * @property {boolean} [live=true] - Apply while dragging; `false` waits for the release, for options that are slow to apply
+ * @property {boolean} [ordered=false] - With `index`: keep the tuple ascending by stopping at the neighboring elements
+ */
+
+/**
+ * @typedef {Object} ColorParameter
+ * @property {"color"} type
+ * @property {string} key
+ * @property {number} [index]
+ * @property {string} [label]
+ */
+
+/**
+ * @typedef {Object} SelectParameter
+ * @property {"select"} type
+ * @property {string} key
+ * @property {number} [index]
+ * @property {string} [label]
+ * @property {Array<{ label: string, value: unknown }>} choices
+ */
+
+/**
+ * One checkbox per value of a list option; checking inserts the value in the
+ * order the flags of that option are defined
+ * @typedef {Object} FlagParameter
+ * @property {"flag"} type
+ * @property {string} key - An array option
+ * @property {unknown} value - In the array while checked
+ * @property {string} [label]
+ */
+
+/**
+ * @typedef {RangeParameter | ColorParameter | SelectParameter} ValueParameter
+ */
+
+/**
+ * @typedef {ValueParameter | FlagParameter} ParameterDefinition
+ */
+
+/**
+ * @typedef {Object} ParameterPanelOptions
+ * @property {ParameterDefinition[]} parameters
+ * @property {Record<string, unknown>} values - Initial values, keyed like the definitions
+ * @property {(changes: Record<string, unknown>) => void} onChange
+ * @property {() => void} [onReseed] - Shows a reseed button when given
+ * @property {Array<{ label: string, onClick: () => void }>} [actions] - Extra buttons next to reseed
+ * @property {string} [storageKey="parameter-panel-presets"] - `localStorage` key for presets
+ * @property {string} [title="Parameters"]
+ */
+
+/**
+ * @param {unknown} a
+ * @param {unknown} b
+ */
+function sameValue(a, b) {
+	if (Array.isArray(a) && Array.isArray(b)) {
+		return a.length === b.length && a.every((v, i) => v === b[i]);
+	}
+	return a === b;
+}
+
+/**
+ * Color options may be numbers (`0xf2f2f2`) or CSS hex strings
+ * @param {unknown} value
+ * @returns {string} `#rrggbb`
+ */
+function toHexColor(value) {
+	if (typeof value === "number") {
+		return "#" + (value & 0xffffff).toString(16).padStart(6, "0");
+	}
+	if (typeof value === "string" && /^#[0-9a-f]{6}$/i.test(value)) {
+		return value;
+	}
+	return "#000000";
+}
+
+/**
+ * @param {string} storageKey
+ * @returns {Record<string, Record<string, unknown>>}
+ */
+function readPresets(storageKey) {
+	try {
+		const raw = localStorage.getItem(storageKey);
+		return raw ? JSON.parse(raw) : {};
+	} catch {
+		return {};
+	}
+}
+
+/**
+ * @param {string} storageKey
+ * @param {Record<string, Record<string, unknown>>} presets
+ */
+function writePresets(storageKey, presets) {
+	try {
+		localStorage.setItem(storageKey, JSON.stringify(presets));
+	} catch (error) {
+		console.error("Failed to save presets", error);
+	}
+}
+
+/**
+ * @template {keyof HTMLElementTagNameMap} K
+ * @param {K} tag
+ * @param {Partial<HTMLElementTagNameMap[K]>} [props]
+ * @returns {HTMLElementTagNameMap[K]}
+ */
+function el(tag, props = {}) {
+	return Object.assign(document.createElement(tag), props);
+}
+
+/**
+ * Build the panel and append it to `parentElem`
+ * @param {Element} parentElem
+ * @param {ParameterPanelOptions} options
+ */
+export function createParameterPanel(parentElem, options) {
+	const {
+		parameters,
+		onChange,
+		onReseed,
+		actions: extraActions = [],
+		storageKey = "parameter-panel-presets",
+		title = "Parameters",
+	} = options;
+	const keys = Array.from(new Set(parameters.map((p) => p.key)));
+
+	/** @type {Record<string, unknown>} */
+	let values = { ...options.values };
+
+	const root = el("details", { className: "parameter-panel", open: true });
+	root.append(el("summary", { textContent: title }));
+
+	const form = el("form", { className: "parameter-panel__form" });
+	form.addEventListener("submit", (e) => e.preventDefault());
+	root.append(form);
+
+	/** @param {ValueParameter} param */
+	const get = (param) => {
+		const value = values[param.key];
+		return param.index == null ? value : /** @type {unknown[]} */ (value)[param.index];
+	};
+
+	/**
+	 * @param {ValueParameter} param
+	 * @param {unknown} value
+	 */
+	const set = (param, value) => {
+		let next = value;
+		if (param.index != null) {
+			const tuple = /** @type {unknown[]} */ (values[param.key]).slice();
+			tuple[param.index] = value;
+			next = tuple;
+		}
+		values = { ...values, [param.key]: next };
+		onChange({ [param.key]: next });
+	};
+
+	/**
+	 * Clamp a new tuple element between its neighbors, so `[min, max]` stays in order
+	 * @param {RangeParameter} param
+	 * @param {number} value
+	 */
+	const clampOrdered = (param, value) => {
+		if (!param.ordered || param.index == null) return value;
+		const tuple = /** @type {number[]} */ (values[param.key]);
+		const lo = param.index > 0 ? tuple[param.index - 1] : -Infinity;
+		const hi = param.index < tuple.length - 1 ? tuple[param.index + 1] : Infinity;
+		return Math.min(hi, Math.max(lo, value));
+	};
+
+	/** @type {Array<() => void>} */
+	const refreshers = [];
+
+	for (const param of parameters) {
+		const row = el("label", { className: "parameter-panel__row" });
+
+		if (param.type === "flag") {
+			const order = parameters.flatMap((p) => (p.type === "flag" && p.key === param.key ? [p.value] : []));
+			const list = () => /** @type {unknown[]} */ (values[param.key] ?? []);
+			const input = el("input", { type: "checkbox" });
+			input.addEventListener("change", () => {
+				const others = list().filter((v) => v !== param.value);
+				const next = input.checked
+					? [...others, param.value].sort((a, b) => order.indexOf(a) - order.indexOf(b))
+					: others;
+				values = { ...values, [param.key]: next };
+				onChange({ [param.key]: next });
+			});
+			refreshers.push(() => {
+				input.checked = list().includes(param.value);
+			});
+			row.append(el("span", { textContent: param.label ?? String(param.value) }), input);
+			form.append(row);
+			continue;
+		}
+
+		const label = param.label ?? (param.index == null ? param.key : `${param.key}[${param.index}]`);
+		row.append(el("span", { textContent: label }));
+
+		if (param.type === "range") {
+			const input = el("input", {
+				type: "range",
+				min: String(param.min),
+				max: String(param.max),
+				step: String(param.step ?? 0.01),
+			});
+			const output = el("output");
+			const live = param.live ?? true;
+			input.addEventListener("input", () => {
+				const value = clampOrdered(param, Number(input.value));
+				if (value !== Number(input.value)) input.value = String(value);
+				output.value = input.value;
+				if (live) set(param, Number(input.value));
+			});
+			if (!live) {
+				input.addEventListener("change", () => set(param, Number(input.value)));
+			}
+			refreshers.push(() => {
+				input.value = String(get(param));
+				output.value = input.value;
+			});
+			row.append(input, output);
+		} else if (param.type === "color") {
+			const input = el("input", { type: "color" });
+			input.addEventListener("input", () => set(param, input.value));
+			refreshers.push(() => {
+				input.value = toHexColor(get(param));
+			});
+			row.append(input);
+		} else {
+			const select = el("select");
+			param.choices.forEach((choice, i) =>
+				select.append(el("option", { value: String(i), textContent: choice.label })),
+			);
+			select.addEventListener("change", () => set(param, param.choices[Number(select.value)].value));
+			refreshers.push(() => {
+				const index = param.choices.findIndex((choice) => sameValue(choice.value, get(param)));
+				select.value = String(Math.max(0, index));
+			});
+			row.append(select);
+		}
+
+		form.append(row);
+	}
+
+	const refresh = () => refreshers.forEach((fn) => fn());
+	refresh();
+
+	/* ---------------------------------- */
+	/* Actions & presets                  */
+	/* ---------------------------------- */
+
+	const actions = el("div", { className: "parameter-panel__actions" });
+	form.append(actions);
+
+	if (onReseed) {
+		const reseedButton = el("button", { type: "button", textContent: "Reseed" });
+		reseedButton.addEventListener("click", () => onReseed());
+		actions.append(reseedButton);
+	}
+
+	for (const action of extraActions) {
+		const button = el("button", { type: "button", textContent: action.label });
+		button.addEventListener("click", () => action.onClick());
+		actions.append(button);
+	}
+
+	const presetSelect = el("select");
+	const loadButton = el("button", { type: "button", textContent: "Load" });
+	const deleteButton = el("button", { type: "button", textContent: "Delete" });
+	const nameInput = el("input", { type: "text", placeholder: "Preset name" });
+	const saveButton = el("button", { type: "button", textContent: "Save" });
+
+	const renderPresets = () => {
+		const names = Object.keys(readPresets(storageKey));
+		presetSelect.replaceChildren(...names.map((name) => el("option", { value: name, textContent: name })));
+		presetSelect.disabled = loadButton.disabled = deleteButton.disabled = names.length === 0;
+	};
+
+	saveButton.addEventListener("click", () => {
+		const name = nameInput.value.trim();
+		if (!name) return;
+		const presets = readPresets(storageKey);
+		presets[name] = Object.fromEntries(keys.map((key) => [key, values[key]]));
+		writePresets(storageKey, presets);
+		nameInput.value = "";
+		renderPresets();
+		presetSelect.value = name;
+	});
+
+	loadButton.addEventListener("click", () => {
+		const preset = readPresets(storageKey)[presetSelect.value];
+		if (!preset) return;
+		const changes = Object.fromEntries(keys.filter((key) => key in preset).map((key) => [key, preset[key]]));
+		values = { ...values, ...changes };
+		refresh();
+		onChange(changes);
+	});
+
+	deleteButton.addEventListener("click", () => {
+		const presets = readPresets(storageKey);
+		delete presets[presetSelect.value];
+		writePresets(storageKey, presets);
+		renderPresets();
+	});
+
+	const presetRow = el("div", { className: "parameter-panel__presets" });
+	presetRow.append(presetSelect, loadButton, deleteButton, nameInput, saveButton);
+	form.append(presetRow);
+	renderPresets();
+
+	parentElem.append(root);
+
+	/**
+	 * Reflect values changed elsewhere, without calling `onChange`
+	 * @param {Record<string, unknown>} next
+	 */
+	function setValues(next) {
+		values = { ...values, ...next };
+		refresh();
+	}
+
+	function dispose() {
+		root.remove();
+	}
+
+	return {
+		setValues,
+		dispose,
+	};
+}
@@ -0,0 +1,133 @@
+/**
+ * @file Poisson-disc sampling
+ *
+ * Bridson's algorithm ("Fast Poisson Disk Sampling in Arbitrary Dimensions", 2007)
+ * for 2D and 3D axis-aligned bounds. Points are never closer than `minDistance`
+ * and fill the bounds without the clumping of independent uniform samples.
+ */
+
+/**
+ * @typedef {Object} PoissonDiscOptions
+ * @property {number[]} min - Lower corner, `[x, y]` or `[x, y, z]`
+ * @property {number[]} max - Upper corner, same length as `min`
+ * @property {number} minDistance - Minimum distance between any two points
+ * @property {number} [attempts=30] - Candidates tried around a point before it is retired
+ * @property {number} [maxPoints=Infinity] - Stop once this many points exist
+ */
+
+/**
+ * Uniform direction in 2D or 3D
+ * @param {() => number} random
+ * @param {number} dim
+ * @returns {number[]}
+ */
+function randomDirection(random, dim) {
+	const theta = 2 * Math.PI * random();
+	if (dim === 2) {
+		return [Math.cos(theta), Math.sin(theta)];
+	}
+	const z = 2 * random() - 1;
+	const r = Math.sqrt(1 - z * z);
+	return [r * Math.cos(theta), r * Math.sin(theta), z];
+}
+
+/**
+ * Generate Poisson-disc distributed points.
+ *
+ * @param {() => number} random - float in [0, 1)
+ * @param {PoissonDiscOptions} options
+ * @returns {number[][]} Points in generation order
+ */
+export function poissonDisc(random, options) {
+	const { min, max, minDistance, attempts = 30, maxPoints = Infinity } = options;
+	const dim = min.length;
+
+	if (dim !== 2 && dim !== 3) {
+		throw new Error(`Poisson-disc bounds must be 2D or 3D, got ${dim}D`);
+	}
+	if (max.length !== dim) {
+		throw new Error("Poisson-disc bounds must have matching dimensions");
+	}
+	if (min.some((v, i) => v >= max[i])) {
+		throw new Error("Poisson-disc bounds must satisfy min < max");
+	}
+	if (!(minDistance > 0)) {
+		throw new Error(`Invalid minDistance: ${minDistance}`);
+	}
+
+	// A cell this size holds at most one point
+	const cellSize = minDistance / Math.sqrt(dim);
+	const gridSize = min.map((v, i) => Math.max(1, Math.ceil((max[i] - v) / cellSize)));
+	const grid = new Int32Array(gridSize.reduce((a, b) => a * b, 1)).fill(-1);
+	const minDistanceSq = minDistance * minDistance;
+
+	/** @type {number[][]} */
+	const points = [];
+	/** @type {number[]} */
+	const active = [];
+
+	/** @param {number[]} p */
+	const cellCoords = (p) => p.map((v, i) => Math.min(gridSize[i] - 1, Math.floor((v - min[i]) / cellSize)));
+
+	/** @param {number[]} c */
+	const cellIndex = (c) => (dim === 2 ? c[0] + c[1] * gridSize[0] : c[0] + (c[1] + c[2] * gridSize[1]) * gridSize[0]);
+
+	/** @param {number[]} p */
+	const isFarEnough = (p) => {
+		const c = cellCoords(p);
+		// Points within minDistance are at most 2 cells away in 2D and 3D
+		const lo = c.map((v) => Math.max(0, v - 2));
+		const hi = c.map((v, i) => Math.min(gridSize[i] - 1, v + 2));
+		const zLo = dim === 3 ? lo[2] : 0;
+		const zHi = dim === 3 ? hi[2] : 0;
+
+		for (let z = zLo; z <= zHi; z++) {
+			for (let y = lo[1]; y <= hi[1]; y++) {
+				for (let x = lo[0]; x <= hi[0]; x++) {
+					const idx = grid[cellIndex([x, y, z])];
+					if (idx === -1) continue;
+					const q = points[idx];
+					let d = 0;
+					for (let i = 0; i < dim; i++) d += (p[i] - q[i]) ** 2;
+					if (d < minDistanceSq) return false;
+				}
+			}
+		}
+		return true;
+	};
+
+	/** @param {number[]} p */
+	const add = (p) => {
+		grid[cellIndex(cellCoords(p))] = points.length;
+		active.push(points.length);
+		points.push(p);
+	};
+
+	add(min.map((v, i) => v + (max[i] - v) * random()));
+
+	while (active.length > 0 && points.length < maxPoints) {
+		const slot = Math.floor(random() * active.length);
+		const origin = points[active[slot]];
+		let found = false;
+
+		for (let k = 0; k < attempts; k++) {
+			const dir = randomDirection(random, dim);
+			const dist = minDistance * (1 + random());
+			const candidate = origin.map((v, i) => v + dir[i] * dist);
+
+			if (candidate.some((v, i) => v < min[i] || v >= max[i])) continue;
+			if (!isFarEnough(candidate)) continue;
+
+			add(candidate);
+			found = true;
+			break;
+		}
+
+		if (!found) {
+			active[slot] = active[active.length - 1];
+			active.pop();
+		}
+	}
+
+	return points;
+}
@@ -0,0 +1,475 @@
+/**
+ * @file Post-processing chain drawn after the scene render
+ *
+ * The scene renders into an offscreen target, then each enabled pass draws a
+ * full-screen quad into the next target, in `postPasses` order; the last one
+ * draws to the canvas or to the caller's target. With no pass enabled the
+ * scene goes straight to its destination.
+ *
+ * The box shader writes display-ready values (it never encodes to sRGB), so the
+ * passes work on display values too and nothing is encoded on the way out.
+ * Only the clear color, which three encodes for the canvas but not for render
+ * targets, is pre-encoded whenever the scene renders into a target.
+ *
+ * Passes know where their target sits in the full image (`offset`,
+ * `fullResolution`) and how many output pixels make one screen pixel
+ * (`pixelScale`), so a tiled export shows the same grain, vignette and
+ * aberration as the canvas.
+ */
+
+import * as THREE from "three";
+import { FullScreenQuad } from "three/examples/jsm/postprocessing/Pass.js";
+import { FXAAShader } from "three/examples/jsm/shaders/FXAAShader.js";
+import { createBlueNoise } from "./blue-noise.js";
+import { SeedRandom } from "./seed-random.js";
+
+/**
+ * @typedef {"fxaa" | "colorGrade" | "chromaticAberration" | "vignette" | "grain" | "dither"} PostPassName
+ */
+
+/**
+ * @typedef {Object} PostOptions
+ * @property {PostPassName[]} postPasses - Enabled passes, in the order they run
+ * @property {number} grainAmount - Film grain strength
+ * @property {number} grainSize - Grain cell size, in screen pixels
+ * @property {number} vignetteStrength - Darkening at the corners
+ * @property {number} vignetteRadius - Distance from the center where darkening starts, 1 = corner
+ * @property {"bayer" | "blueNoise"} ditherMode - Ordered (8x8 Bayer) or blue-noise thresholds
+ * @property {number} ditherLevels - Levels per channel after dithering
+ * @property {number} chromaticAberration - Red/blue split at the corners, in screen pixels
+ * @property {number} gradeContrast
+ * @property {number} gradeSaturation
+ * @property {number} lutIntensity - Mix between the graded color and the LUT's output
+ */
+
+/**
+ * @typedef {Object} PostRenderOptions
+ * @property {THREE.WebGLRenderTarget | null} [target=null] - `null` draws to the canvas
+ * @property {number} [frame=0] - Animates the grain; use the timeline frame so recordings repeat
+ * @property {[width: number, height: number]} [fullResolution] - Size of the whole image when `target` is one tile of it
+ * @property {[x: number, y: number]} [offset=[0, 0]] - Bottom-left corner of `target` in the whole image, in pixels
+ * @property {number} [pixelScale=1] - Output pixels per screen pixel, e.g. 4 for a 4x export
+ */
+
+export const DEFAULT_POST_OPTIONS = Object.freeze(
+	/** @type {PostOptions} */ ({
+		postPasses: [],
+		grainAmount: 0.06,
+		grainSize: 1.5,
+		vignetteStrength: 0.35,
+		vignetteRadius: 0.4,
+		ditherMode: "blueNoise",
+		ditherLevels: 64,
+		chromaticAberration: 2,
+		gradeContrast: 1,
+		gradeSaturation: 1,
+		lutIntensity: 1,
+	}),
+);
+
+/** Option keys handled by the post-processing chain */
+export const POST_OPTION_KEYS = /** @type {(keyof PostOptions)[]} */ (Object.keys(DEFAULT_POST_OPTIONS));
+
+/** @type {PostPassName[]} */
+export const POST_PASS_NAMES = ["fxaa", "colorGrade", "chromaticAberration", "vignette", "grain", "dither"];
+
+const BLUE_NOISE_SIZE = 64;
+
+const vertexShader = /* glsl */ `
+	varying vec2 vUv;
+
+	void main() {
+		vUv = uv;
+		gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+	}
+`;
+
+// Where this fragment sits in the whole image, shared by every pass
+const viewHeader = /* glsl */ `
+	uniform sampler2D tDiffuse;
+	uniform vec2 resolution;
+	uniform vec2 fullResolution;
+	uniform vec2 offset;
+	uniform float pixelScale;
+
+	varying vec2 vUv;
+
+	vec2 fullCoord() {
+		return offset + gl_FragCoord.xy;
+	}
+`;
+
+/** @type {Record<Exclude<PostPassName, "fxaa">, { uniforms: Record<string, THREE.IUniform>, fragmentShader: string }>} */
+const PASS_SHADERS = {
+	colorGrade: {
+		uniforms: {
+			gradeContrast: { value: 1 },
+			gradeSaturation: { value: 1 },
+			lut: { value: null },
+			lutSize: { value: 0 },
+			lutIntensity: { value: 1 },
+		},
+		fragmentShader: /* glsl */ `
+			uniform float gradeContrast;
+			uniform float gradeSaturation;
+			uniform sampler3D lut;
+			uniform float lutSize;
+			uniform float lutIntensity;
+
+			void main() {
+				vec3 color = texture2D(tDiffuse, vUv).rgb;
+				color = (color - 0.5) * gradeContrast + 0.5;
+				float luma = dot(color, vec3(0.2126, 0.7152, 0.0722));
+				color = clamp(mix(vec3(luma), color, gradeSaturation), 0.0, 1.0);
+
+				if (lutSize > 0.0) {
+					// Sample texel centers so the LUT's end points map to 0 and 1
+					vec3 graded = texture(lut, (color * (lutSize - 1.0) + 0.5) / lutSize).rgb;
+					color = mix(color, graded, lutIntensity);
+				}
+
+				gl_FragColor = vec4(color, 1.0);
+			}
+		`,
+	},
+	chromaticAberration: {
+		uniforms: {
+			chromaticAberration: { value: 0 },
+		},
+		fragmentShader: /* glsl */ `
+			uniform float chromaticAberration;
+
+			void main() {
+				// Radial split, growing towards the corners of the whole image
+				vec2 fromCenter = fullCoord() / fullResolution - 0.5;
+				vec2 shift = fromCenter * 2.0 * chromaticAberration * pixelScale / resolution;
+
+				vec4 color = texture2D(tDiffuse, vUv);
+				color.r = texture2D(tDiffuse, vUv + shift).r;
+				color.b = texture2D(tDiffuse, vUv - shift).b;
+				gl_FragColor = color;
+			}
+		`,
+	},
+	vignette: {
+		uniforms: {
+			vignetteStrength: { value: 0 },
+			vignetteRadius: { value: 0 },
+		},
+		fragmentShader: /* glsl */ `
+			uniform float vignetteStrength;
+			uniform float vignetteRadius;
+
+			void main() {
+				vec2 aspect = vec2(fullResolution.x / fullResolution.y, 1.0);
+				vec2 fromCenter = (fullCoord() / fullResolution - 0.5) * aspect;
+				float centerDistance = length(fromCenter) / length(0.5 * aspect);
+
+				vec4 color = texture2D(tDiffuse, vUv);
+				color.rgb *= 1.0 - vignetteStrength * smoothstep(vignetteRadius, 1.0, centerDistance);
+				gl_FragColor = color;
+			}
+		`,
+	},
+	grain: {
+		uniforms: {
+			grainAmount: { value: 0 },
+			grainSize: { value: 1 },
+			grainSeed: { value: 0 },
+			frame: { value: 0 },
+		},
+		fragmentShader: /* glsl */ `
+			uniform float grainAmount;
+			uniform float grainSize;
+			uniform float grainSeed;
+			uniform float frame;
+
+			// Integer hash (after "Hash Functions for GPU Rendering", Jarzynski & Olano)
+			float hash(uvec3 v) {
+				v = v * 1664525u + 1013904223u;
+				v.x += v.y * v.z;
+				v.y += v.z * v.x;
+				v.z += v.x * v.y;
+				v ^= v >> 16u;
+				v.x += v.y * v.z;
+				return float(v.x) / 4294967295.0;
+			}
+
+			void main() {
+				// Through ivec2: padded tiles reach negative coordinates
+				uvec2 cell = uvec2(ivec2(floor(fullCoord() / (grainSize * pixelScale))));
+				uvec3 key = uvec3(cell, uint(frame) + uint(grainSeed));
+				// Sum of two uniforms: a triangular distribution, softer than white noise
+				float noise = hash(key) + hash(key + uvec3(0u, 0u, 7919u)) - 1.0;
+
+				vec4 color = texture2D(tDiffuse, vUv);
+				float luma = dot(color.rgb, vec3(0.2126, 0.7152, 0.0722));
+				// Strongest in the midtones, like film
+				color.rgb += noise * grainAmount * (1.0 - abs(luma * 2.0 - 1.0) * 0.5);
+				gl_FragColor = color;
+			}
+		`,
+	},
+	dither: {
+		uniforms: {
+			ditherLevels: { value: 64 },
+			blueNoise: { value: null },
+		},
+		fragmentShader: /* glsl */ `
+			uniform float ditherLevels;
+			uniform sampler2D blueNoise;
+
+			float bayer2(vec2 a) {
+				a = floor(a);
+				return fract(a.x / 2.0 + a.y * a.y * 0.75);
+			}
+
+			float bayer4(vec2 a) {
+				return bayer2(0.5 * a) * 0.25 + bayer2(a);
+			}
+
+			float bayer8(vec2 a) {
+				return bayer4(0.5 * a) * 0.25 + bayer2(a);
+			}
+
+			void main() {
+				vec2 cell = floor(fullCoord() / pixelScale);
+				#ifdef USE_BLUE_NOISE
+					float threshold = texture2D(blueNoise, (cell + 0.5) / ${BLUE_NOISE_SIZE}.0).r;
+				#else
+					float threshold = bayer8(cell);
+				#endif
+
+				vec4 color = texture2D(tDiffuse, vUv);
+				float steps = max(ditherLevels - 1.0, 1.0);
+				color.rgb = floor(clamp(color.rgb, 0.0, 1.0) * steps + threshold) / steps;
+				gl_FragColor = color;
+			}
+		`,
+	},
+};
+
+/**
+ * @param {THREE.WebGLRenderer} renderer
+ * @param {Partial<PostOptions>} [options]
+ */
+export function createPostProcessing(renderer, options = {}) {
+	/** @type {PostOptions} */
+	let opts = { ...DEFAULT_POST_OPTIONS, ...options };
+
+	const view = {
+		resolution: { value: new THREE.Vector2(1, 1) },
+		fullResolution: { value: new THREE.Vector2(1, 1) },
+		offset: { value: new THREE.Vector2() },
+		pixelScale: { value: 1 },
+	};
+
+	const materials = /** @type {Record<PostPassName, THREE.ShaderMaterial>} */ ({
+		fxaa: new THREE.ShaderMaterial({
+			name: "FXAAShader",
+			uniforms: THREE.UniformsUtils.clone(FXAAShader.uniforms),
+			vertexShader: FXAAShader.vertexShader,
+			fragmentShader: FXAAShader.fragmentShader,
+			depthTest: false,
+			depthWrite: false,
+		}),
+		...Object.fromEntries(
+			Object.entries(PASS_SHADERS).map(([name, { uniforms, fragmentShader }]) => [
+				name,
+				new THREE.ShaderMaterial({
+					name,
+					uniforms: { ...THREE.UniformsUtils.clone(uniforms), ...view, tDiffuse: { value: null } },
+					vertexShader,
+					fragmentShader: viewHeader + fragmentShader,
+					depthTest: false,
+					depthWrite: false,
+				}),
+			]),
+		),
+	});
+
+	const quad = new FullScreenQuad();
+
+	/** @type {THREE.DataTexture | null} */
+	let blueNoise = null;
+
+	function getBlueNoise() {
+		if (!blueNoise) {
+			// A fixed pattern: thresholds are not part of the scene's look
+			const random = new SeedRandom("blue-noise");
+			const thresholds = createBlueNoise(BLUE_NOISE_SIZE, () => random.float());
+			const data = Uint8Array.from(thresholds, (v) => Math.floor(v * 256));
+			blueNoise = new THREE.DataTexture(data, BLUE_NOISE_SIZE, BLUE_NOISE_SIZE, THREE.RedFormat);
+			blueNoise.wrapS = blueNoise.wrapT = THREE.RepeatWrapping;
+			blueNoise.needsUpdate = true;
+		}
+		return blueNoise;
+	}
+
+	function applyOptions() {
+		const { colorGrade, chromaticAberration, vignette, grain, dither } = materials;
+		colorGrade.uniforms.gradeContrast.value = opts.gradeContrast;
+		colorGrade.uniforms.gradeSaturation.value = opts.gradeSaturation;
+		colorGrade.uniforms.lutIntensity.value = opts.lutIntensity;
+		chromaticAberration.uniforms.chromaticAberration.value = opts.chromaticAberration;
+		vignette.uniforms.vignetteStrength.value = opts.vignetteStrength;
+		vignette.uniforms.vignetteRadius.value = opts.vignetteRadius;
+		grain.uniforms.grainAmount.value = opts.grainAmount;
+		grain.uniforms.grainSize.value = opts.grainSize;
+		dither.uniforms.ditherLevels.value = opts.ditherLevels;
+
+		const useBlueNoise = opts.ditherMode === "blueNoise";
+		if (useBlueNoise !== "USE_BLUE_NOISE" in dither.defines) {
+			dither.defines = useBlueNoise ? { USE_BLUE_NOISE: "" } : {};
+			dither.needsUpdate = true;
+		}
+		if (useBlueNoise && opts.postPasses.includes("dither")) {
+			dither.uniforms.blueNoise.value = getBlueNoise();
+		}
+	}
+
+	applyOptions();
+
+	/** Scene render and ping-pong buffers, sized to the current destination */
+	const sceneTarget = new THREE.WebGLRenderTarget(1, 1, { samples: 4 });
+	const buffers = [new THREE.WebGLRenderTarget(1, 1), new THREE.WebGLRenderTarget(1, 1)];
+
+	const size = new THREE.Vector2();
+	const clearColor = new THREE.Color();
+
+	/**
+	 * @param {THREE.Scene} scene
+	 * @param {THREE.Camera} camera
+	 * @param {THREE.WebGLRenderTarget | null} target
+	 */
+	function renderScene(scene, camera, target) {
+		renderer.setRenderTarget(target);
+		if (!target) {
+			renderer.render(scene, camera);
+			return;
+		}
+
+		// The clear color is written as-is into render targets but encoded
+		// for the canvas, so pre-encode it to match what is on screen
+		renderer.getClearColor(clearColor);
+		const clearAlpha = renderer.getClearAlpha();
+		renderer.setClearColor(clearColor.clone().convertLinearToSRGB(), clearAlpha);
+		try {
+			renderer.render(scene, camera);
+		} finally {
+			renderer.setClearColor(clearColor, clearAlpha);
+		}
+	}
+
+	/**
+	 * Render the scene through the enabled passes
+	 * @param {THREE.Scene} scene
+	 * @param {THREE.Camera} camera
+	 * @param {PostRenderOptions} [renderOptions]
+	 */
+	function render(scene, camera, renderOptions = {}) {
+		const { target = null, frame = 0, fullResolution, offset = [0, 0], pixelScale = 1 } = renderOptions;
+		const passes = opts.postPasses;
+
+		if (passes.length === 0) {
+			renderScene(scene, camera, target);
+			renderer.setRenderTarget(null);
+			return;
+		}
+
+		if (target) size.set(target.width, target.height);
+		else renderer.getDrawingBufferSize(size);
+
+		for (const buffer of [sceneTarget, ...buffers]) {
+			if (buffer.width !== size.x || buffer.height !== size.y) buffer.setSize(size.x, size.y);
+		}
+
+		view.resolution.value.copy(size);
+		view.fullResolution.value.set(...(fullResolution ?? [size.x, size.y]));
+		view.offset.value.set(...offset);
+		view.pixelScale.value = pixelScale;
+		materials.fxaa.uniforms.resolution.value.set(1 / size.x, 1 / size.y);
+		materials.grain.uniforms.frame.value = frame;
+
+		renderScene(scene, camera, sceneTarget);
+
+		let input = sceneTarget.texture;
+		passes.forEach((name, i) => {
+			const material = materials[name];
+			if (!material) {
+				throw new Error(`Unknown post-processing pass: ${name}`);
+			}
+
+			const output = i === passes.length - 1 ? target : buffers[i % 2];
+			material.uniforms.tDiffuse.value = input;
+			quad.material = material;
+			renderer.setRenderTarget(output);
+			quad.render(renderer);
+			if (output) input = output.texture;
+		});
+
+		renderer.setRenderTarget(null);
+	}
+
+	/**
+	 * Pixels a tile must render beyond its edges so that passes sampling
+	 * their neighbors (FXAA, chromatic aberration) show no seams
+	 * @param {number} pixelScale
+	 */
+	function getTilePadding(pixelScale) {
+		const { postPasses } = opts;
+		let padding = 0;
+		if (postPasses.includes("fxaa")) padding += 8;
+		if (postPasses.includes("chromaticAberration")) {
+			padding += Math.ceil(Math.abs(opts.chromaticAberration) * pixelScale) + 1;
+		}
+		return padding;
+	}
+
+	/**
+	 * @param {Partial<PostOptions>} next
+	 */
+	function setOptions(next) {
+		opts = { ...opts, ...next };
+		applyOptions();
+	}
+
+	/**
+	 * Seed the film grain, e.g. from the scene RNG
+	 * @param {number} seed - A non-negative integer
+	 */
+	function setSeed(seed) {
+		materials.grain.uniforms.grainSeed.value = seed;
+	}
+
+	/**
+	 * Grade through a 3D LUT, e.g. parsed by `LUTCubeLoader`; `null` removes it.
+	 * The chain takes ownership and disposes the previous LUT.
+	 * @param {THREE.Data3DTexture | null} lut
+	 */
+	function setLut(lut) {
+		const { uniforms } = materials.colorGrade;
+		if (uniforms.lut.value === lut) return;
+		uniforms.lut.value?.dispose();
+		uniforms.lut.value = lut;
+		uniforms.lutSize.value = lut ? lut.image.width : 0;
+	}
+
+	function dispose() {
+		setLut(null);
+		blueNoise?.dispose();
+		sceneTarget.dispose();
+		for (const buffer of buffers) buffer.dispose();
+		for (const material of Object.values(materials)) material.dispose();
+		quad.dispose();
+	}
+
+	return {
+		render,
+		getTilePadding,
+		setOptions,
+		setSeed,
+		setLut,
+		dispose,
+	};
+}
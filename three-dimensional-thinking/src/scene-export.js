@@ -0,0 +1,207 @@
+/**
+ * @file 3D model export of the generated scene
+ *
+ * Bakes every mesh's world transform into a copy of its geometry, swaps the
+ * shader materials for standard materials in each mesh's palette color, and
+ * writes glTF (binary or JSON) or OBJ with its MTL.
+ *
+ * `extras` (e.g. the seed and options) land in the glTF scene `extras` and in
+ * comments at the top of the OBJ, so a file links back to the scene that made it.
+ */
+
+import * as THREE from "three";
+import { getInstanceUniform } from "./shader-material.js";
+import { createZip } from "./zip.js";
+
+/**
+ * @typedef {"glb" | "gltf" | "obj"} ModelFormat
+ */
+
+/**
+ * @typedef {Object} ModelExportOptions
+ * @property {ModelFormat} [format="glb"]
+ * @property {Record<string, unknown>} [extras] - JSON-serializable metadata
+ * @property {string} [name="scene"] - Base name of the files inside an OBJ export
+ */
+
+/**
+ * @typedef {Object} ModelExport
+ * @property {Blob} blob
+ * @property {"glb" | "gltf" | "zip"} extension - OBJ exports are zipped with their MTL
+ */
+
+/**
+ * @param {THREE.Mesh} mesh
+ * @returns {THREE.Color}
+ */
+function meshColor(mesh) {
+	const instanceColor = getInstanceUniform(mesh, "color");
+	if (instanceColor instanceof THREE.Color) {
+		return instanceColor;
+	}
+
+	const { material } = mesh;
+	const first = Array.isArray(material) ? material[0] : material;
+	if (first instanceof THREE.ShaderMaterial && first.uniforms.color?.value instanceof THREE.Color) {
+		return first.uniforms.color.value;
+	}
+	if ("color" in first && first.color instanceof THREE.Color) {
+		return first.color;
+	}
+	return new THREE.Color(0xffffff);
+}
+
+/**
+ * Mirroring transforms (negative scale) turn faces inside out once baked
+ * @param {THREE.BufferGeometry} geometry
+ */
+function flipWinding(geometry) {
+	if (!geometry.index) {
+		const count = geometry.getAttribute("position").count;
+		geometry.setIndex(Array.from({ length: count }, (_, i) => i));
+	}
+	const index = /** @type {THREE.BufferAttribute} */ (geometry.index);
+	for (let i = 0; i < index.count; i += 3) {
+		const b = index.getX(i + 1);
+		index.setX(i + 1, index.getX(i + 2));
+		index.setX(i + 2, b);
+	}
+}
+
+/**
+ * Copy the visible meshes under `root` into a standalone scene with baked
+ * transforms and one standard material per color
+ * @param {THREE.Object3D} root
+ * @param {Record<string, unknown>} [extras]
+ * @returns {THREE.Scene}
+ */
+export function bakeScene(root, extras = {}) {
+	root.updateWorldMatrix(true, true);
+
+	const baked = new THREE.Scene();
+	baked.name = root.name || "scene";
+	baked.userData = JSON.parse(JSON.stringify(extras));
+
+	/** @type {Map<string, THREE.MeshStandardMaterial>} */
+	const materials = new Map();
+
+	/**
+	 * @param {THREE.BufferGeometry} source
+	 * @param {THREE.Matrix4} matrix - World transform to bake
+	 * @param {THREE.Color} color
+	 * @param {string} name
+	 */
+	const addMesh = (source, matrix, color, name) => {
+		const hex = color.getHexString();
+		let material = materials.get(hex);
+		if (!material) {
+			material = new THREE.MeshStandardMaterial({ color, roughness: 1, metalness: 0, name: `color_${hex}` });
+			materials.set(hex, material);
+		}
+
+		const geometry = source.clone().applyMatrix4(matrix);
+		if (matrix.determinant() < 0) {
+			flipWinding(geometry);
+		}
+
+		const mesh = new THREE.Mesh(geometry, material);
+		mesh.name = name || `mesh_${baked.children.length}`;
+		baked.add(mesh);
+	};
+
+	const instanceMatrix = new THREE.Matrix4();
+	const instanceColor = new THREE.Color();
+
+	root.traverseVisible((object) => {
+		if (object instanceof THREE.InstancedMesh) {
+			// Every instance becomes its own mesh
+			for (let i = 0; i < object.count; i++) {
+				object.getMatrixAt(i, instanceMatrix);
+				if (object.instanceColor) object.getColorAt(i, instanceColor);
+				else instanceColor.copy(meshColor(object));
+				addMesh(object.geometry, instanceMatrix.premultiply(object.matrixWorld), instanceColor, "");
+			}
+		} else if (object instanceof THREE.Mesh) {
+			addMesh(object.geometry, object.matrixWorld, meshColor(object), object.name);
+		}
+	});
+
+	return baked;
+}
+
+/**
+ * @param {THREE.Scene} scene
+ */
+function disposeBaked(scene) {
+	scene.traverse((object) => {
+		if (object instanceof THREE.Mesh) {
+			object.geometry.dispose();
+			object.material.dispose();
+		}
+	});
+}
+
+/**
+ * @param {THREE.Scene} scene
+ * @param {string} name
+ * @param {Record<string, unknown>} extras
+ * @returns {Promise<Blob>}
+ */
+async function exportObj(scene, name, extras) {
+	const { OBJExporter } = await import("three/examples/jsm/exporters/OBJExporter.js");
+
+	const header = Object.entries(extras).map(([key, value]) => `# ${key}: ${JSON.stringify(value)}`);
+	const obj = [...header, `mtllib ${name}.mtl`, new OBJExporter().parse(scene)].join("\n");
+
+	/** @type {Set<THREE.MeshStandardMaterial>} */
+	const materials = new Set();
+	scene.traverse((object) => {
+		if (object instanceof THREE.Mesh) materials.add(object.material);
+	});
+
+	const rgb = { r: 0, g: 0, b: 0 };
+	const mtl = Array.from(materials, (material) => {
+		material.color.getRGB(rgb, THREE.SRGBColorSpace);
+		const kd = [rgb.r, rgb.g, rgb.b].map((v) => v.toFixed(6)).join(" ");
+		return `newmtl ${material.name}\nKd ${kd}\nKa 0 0 0\nKs 0 0 0\nd 1\nillum 1\n`;
+	}).join("\n");
+
+	const encoder = new TextEncoder();
+	const zip = createZip();
+	zip.add(`${name}.obj`, encoder.encode(obj));
+	zip.add(`${name}.mtl`, encoder.encode(mtl));
+	return zip.toBlob();
+}
+
+/**
+ * Export the meshes under `root` as a 3D model.
+ * The exporters are loaded on first use.
+ *
+ * @param {THREE.Object3D} root
+ * @param {ModelExportOptions} [options]
+ * @returns {Promise<ModelExport>}
+ */
+export async function exportScene(root, options = {}) {
+	const { format = "glb", extras = {}, name = "scene" } = options;
+	const scene = bakeScene(root, extras);
+
+	try {
+		if (format === "obj") {
+			return { blob: await exportObj(scene, name, extras), extension: "zip" };
+		}
+		if (format !== "glb" && format !== "gltf") {
+			throw new Error(`Unknown model format: ${format}`);
+		}
+
+		const { GLTFExporter } = await import("three/examples/jsm/exporters/GLTFExporter.js");
+		const result = await new GLTFExporter().parseAsync(scene, { binary: format === "glb" });
+
+		const blob =
+			result instanceof ArrayBuffer
+				? new Blob([result], { type: "model/gltf-binary" })
+				: new Blob([JSON.stringify(result, null, 2)], { type: "model/gltf+json" });
+		return { blob, extension: format };
+	} finally {
+		disposeBaked(scene);
+	}
+}
@@ -0,0 +1,698 @@
+/**
+ * @file Behavior checks for SeedRandom features beyond the base stream
+ *
+ * The golden vectors pin `float`, `int` and `pick`; these check the contracts
+ * of everything built on top: ranges, determinism and which calls leave the
+ * stream untouched. Each check is a small function that throws on the first
+ * broken expectation.
+ *
+ * Runs headless in Node as part of `npm test` (see `seed-random-checks.js`).
+ */
+
+import { avoidOverlaps, computeLayout, DEFAULT_LAYOUT_OPTIONS, LAYOUT_NAMES } from "./layouts.js";
+import { SeedRandom, listAlgorithms } from "./seed-random.js";
+import { contrastRatio, harmony, pickBackground, pickPalette } from "./seeded-color.js";
+
+/**
+ * @typedef {Object} BehaviorCheck
+ * @property {string} name
+ * @property {() => void} run - Throws when the behavior is broken
+ */
+
+/**
+ * @param {unknown} condition
+ * @param {string} message
+ * @returns {asserts condition}
+ */
+function expect(condition, message) {
+	if (!condition) throw new Error(message);
+}
+
+/**
+ * @param {unknown} actual
+ * @param {unknown} expected
+ * @param {string} message
+ */
+function expectSame(actual, expected, message) {
+	const a = JSON.stringify(actual);
+	const e = JSON.stringify(expected);
+	expect(a === e, `${message}: expected ${e}, got ${a}`);
+}
+
+/**
+ * @param {number} value
+ * @param {number} min
+ * @param {number} max
+ * @param {string} message
+ */
+function expectWithin(value, min, max, message) {
+	expect(Number.isFinite(value) && value >= min && value <= max, `${message}: ${value} outside [${min}, ${max}]`);
+}
+
+/**
+ * @param {() => unknown} fn
+ * @returns {boolean}
+ */
+function throws(fn) {
+	try {
+		fn();
+	} catch {
+		return true;
+	}
+	return false;
+}
+
+/** Points spread over several noise cells, including negative coordinates */
+const NOISE_POINTS = Array.from({ length: 2000 }, (_, i) => {
+	const t = i * 0.37;
+	return [Math.sin(t) * 40, Math.cos(t * 1.3) * 40, t % 17, -t % 23];
+});
+
+/* -------------------------------------------------- */
+/* Noise                                              */
+/* -------------------------------------------------- */
+
+/** @type {BehaviorCheck[]} */
+const NOISE_CHECKS = [
+	{
+		name: "noise is reproducible from the seed",
+		run() {
+			const a = new SeedRandom("noise");
+			const b = new SeedRandom("noise");
+			for (const [x, y, z, w] of NOISE_POINTS.slice(0, 200)) {
+				expect(a.noise2D(x, y) === b.noise2D(x, y), `noise2D(${x}, ${y}) differs between equal seeds`);
+				expect(a.noise4D(x, y, z, w) === b.noise4D(x, y, z, w), `noise4D(${x}, ${y}, ${z}, ${w}) differs`);
+			}
+
+			const other = new SeedRandom("other");
+			const differs = NOISE_POINTS.slice(0, 200).some(([x, y]) => a.noise2D(x, y) !== other.noise2D(x, y));
+			expect(differs, "different seeds give the same noise2D field");
+		},
+	},
+	{
+		name: "noise stays in range",
+		run() {
+			const rng = new SeedRandom("noise range");
+			for (const [x, y, z, w] of NOISE_POINTS) {
+				expectWithin(rng.noise1D(x), -1, 1, "noise1D");
+				expectWithin(rng.noise2D(x, y), -1, 1, "noise2D");
+				expectWithin(rng.noise3D(x, y, z), -1, 1, "noise3D");
+				expectWithin(rng.noise4D(x, y, z, w), -1, 1, "noise4D");
+				expectWithin(rng.noise2D(x, y, 3, 0.25), -0.25, 0.25, "noise2D with amplitude 0.25");
+				expectWithin(rng.fbm([x, y, z], { amplitude: 2 }), -2, 2, "fbm");
+				expectWithin(rng.ridged([x, y]), 0, 1, "ridged");
+				expectWithin(rng.turbulence([x, y]), 0, 1, "turbulence");
+				expectWithin(rng.domainWarp([x, y]), -1, 1, "domainWarp");
+			}
+		},
+	},
+	{
+		name: "sampling noise leaves the stream untouched",
+		run() {
+			const sampled = new SeedRandom("noise stream");
+			const fresh = new SeedRandom("noise stream");
+			sampled.noise3D(1, 2, 3);
+			sampled.fbm([0.5, 0.5]);
+			expectSame([sampled.float(), sampled.float()], [fresh.float(), fresh.float()], "float() after sampling noise");
+		},
+	},
+];
+
+/* -------------------------------------------------- */
+/* Snapshots                                          */
+/* -------------------------------------------------- */
+
+/** @type {BehaviorCheck[]} */
+const SNAPSHOT_CHECKS = [
+	{
+		name: "restoring a snapshot continues the same stream",
+		run() {
+			for (const algo of listAlgorithms()) {
+				const rng = new SeedRandom("snapshot", algo);
+				rng.float();
+				rng.normal(); // leaves a Box–Muller spare behind
+				const snapshot = JSON.parse(JSON.stringify(rng.snapshot()));
+				const expected = [rng.normal(), rng.float(), rng.uint32(), rng.int(0, 9)];
+
+				const restored = SeedRandom.fromSnapshot(snapshot);
+				expectSame([restored.normal(), restored.float(), restored.uint32(), restored.int(0, 9)], expected, algo);
+
+				const reused = new SeedRandom("unrelated", algo);
+				reused.restore(snapshot);
+				expectSame([reused.normal(), reused.float(), reused.uint32(), reused.int(0, 9)], expected, `${algo} restore()`);
+			}
+		},
+	},
+	{
+		name: "malformed snapshots are rejected",
+		run() {
+			const snapshot = new SeedRandom("snapshot").snapshot();
+			/** @type {Array<[string, unknown]>} */
+			const broken = [
+				["version", { ...snapshot, version: 999 }],
+				["algorithm", { ...snapshot, algo: "nope" }],
+				["seed", { ...snapshot, seed: [1, 2, 3] }],
+				["state", { ...snapshot, state: { s: [1.5, 2, 3, 4] } }],
+				["hash version", { ...snapshot, hashVersion: 999 }],
+				["spare", { ...snapshot, spare: "0.5" }],
+			];
+			for (const [label, value] of broken) {
+				const rng = new SeedRandom("target");
+				const before = rng.snapshot();
+				let threw = false;
+				try {
+					rng.restore(/** @type {import("./seed-random.js").RNGSnapshot} */ (value));
+				} catch {
+					threw = true;
+				}
+				expect(threw, `restore() accepted a snapshot with a bad ${label}`);
+				expectSame(rng.snapshot(), before, `a rejected ${label} changed the instance`);
+			}
+		},
+	},
+];
+
+/* -------------------------------------------------- */
+/* Distributions                                      */
+/* -------------------------------------------------- */
+
+const DISTRIBUTION_SAMPLES = 20000;
+
+/**
+ * Draw samples and compare their mean and variance to the distribution's.
+ * The mean must lie within 5 standard errors, the variance within 10%.
+ *
+ * @param {string} label
+ * @param {() => number} draw
+ * @param {{ mean: number, variance: number, min?: number, max?: number, integer?: boolean }} expected
+ */
+function expectMoments(label, draw, { mean, variance, min = -Infinity, max = Infinity, integer = false }) {
+	let sum = 0;
+	let sumSquares = 0;
+	for (let i = 0; i < DISTRIBUTION_SAMPLES; i++) {
+		const x = draw();
+		expectWithin(x, min, max, label);
+		expect(!integer || Number.isInteger(x), `${label}: ${x} is not an integer`);
+		sum += x;
+		sumSquares += x * x;
+	}
+	const sampleMean = sum / DISTRIBUTION_SAMPLES;
+	const sampleVariance = sumSquares / DISTRIBUTION_SAMPLES - sampleMean ** 2;
+
+	const z = (sampleMean - mean) / Math.sqrt(variance / DISTRIBUTION_SAMPLES);
+	expect(Math.abs(z) < 5, `${label}: mean ${sampleMean}, expected ${mean} (z = ${z.toFixed(2)})`);
+	expect(Math.abs(sampleVariance / variance - 1) < 0.1, `${label}: variance ${sampleVariance}, expected ${variance}`);
+}
+
+/** @type {BehaviorCheck[]} */
+const DISTRIBUTION_CHECKS = [
+	{
+		name: "continuous distributions have the right range and moments",
+		run() {
+			const rng = new SeedRandom("distributions");
+			expectMoments("exponential(2)", () => rng.exponential(2), { mean: 0.5, variance: 0.25, min: 0 });
+			expectMoments("gamma(0.5, 2)", () => rng.gamma(0.5, 2), { mean: 1, variance: 2, min: 0 });
+			expectMoments("gamma(3, 2)", () => rng.gamma(3, 2), { mean: 6, variance: 12, min: 0 });
+			expectMoments("beta(2, 5)", () => rng.beta(2, 5), { mean: 2 / 7, variance: 10 / (49 * 8), min: 0, max: 1 });
+			expectMoments("logNormal(0, 0.5)", () => rng.logNormal(0, 0.5), {
+				mean: Math.exp(0.125),
+				variance: (Math.exp(0.25) - 1) * Math.exp(0.25),
+				min: 0,
+			});
+			expectMoments("triangular(0, 3, 1)", () => rng.triangular(0, 3, 1), {
+				mean: 4 / 3,
+				variance: (9 + 1 - 3) / 18,
+				min: 0,
+				max: 3,
+			});
+			// Shape above 4 keeps the fourth moment finite, so the sample variance settles
+			expectMoments("pareto(1, 10)", () => rng.pareto(1, 10), { mean: 10 / 9, variance: 10 / (81 * 8), min: 1 });
+			// Standard normal on [0, ∞): the half-normal
+			expectMoments("truncatedNormal(0, 1, 0)", () => rng.truncatedNormal(0, 1, 0), {
+				mean: Math.sqrt(2 / Math.PI),
+				variance: 1 - 2 / Math.PI,
+				min: 0,
+			});
+			for (let i = 0; i < 2000; i++) {
+				expectWithin(rng.truncatedNormal(0, 1, 2, 2.5), 2, 2.5, "truncatedNormal tail");
+				expectWithin(rng.truncatedNormal(5, 2, -1, 1), -1, 1, "truncatedNormal far from the mean");
+			}
+		},
+	},
+	{
+		name: "discrete distributions have the right range and moments",
+		run() {
+			const rng = new SeedRandom("distributions");
+			expectMoments("poisson(3)", () => rng.poisson(3), { mean: 3, variance: 3, min: 0, integer: true });
+			// Large λ takes the gamma-splitting path
+			expectMoments("poisson(250)", () => rng.poisson(250), { mean: 250, variance: 250, min: 0, integer: true });
+			expectMoments("binomial(20, 0.3)", () => rng.binomial(20, 0.3), {
+				mean: 6,
+				variance: 4.2,
+				min: 0,
+				max: 20,
+				integer: true,
+			});
+			expectMoments("binomial(1000, 0.9)", () => rng.binomial(1000, 0.9), {
+				mean: 900,
+				variance: 90,
+				min: 0,
+				max: 1000,
+				integer: true,
+			});
+			expectMoments("dice(2, 6)", () => rng.dice(2, 6).reduce((a, b) => a + b, 0), {
+				mean: 7,
+				variance: 35 / 6,
+				min: 2,
+				max: 12,
+				integer: true,
+			});
+		},
+	},
+	{
+		name: "distributions reject invalid parameters",
+		run() {
+			const rng = new SeedRandom("distributions");
+			/** @type {Array<[string, () => unknown]>} */
+			const invalid = [
+				["gamma(0)", () => rng.gamma(0)],
+				["poisson(-1)", () => rng.poisson(-1)],
+				["binomial(2.5, 0.5)", () => rng.binomial(2.5, 0.5)],
+				["binomial(10, 1.5)", () => rng.binomial(10, 1.5)],
+				["triangular(0, 1, 2)", () => rng.triangular(0, 1, 2)],
+				["pareto(0, 1)", () => rng.pareto(0, 1)],
+				["truncatedNormal(0, 1, 1, 1)", () => rng.truncatedNormal(0, 1, 1, 1)],
+			];
+			for (const [label, draw] of invalid) {
+				expect(throws(draw), `${label} did not throw`);
+			}
+		},
+	},
+];
+
+/* -------------------------------------------------- */
+/* Weighted choice                                    */
+/* -------------------------------------------------- */
+
+const WEIGHTED_ITEMS = ["a", "b", "c", "d", "e"];
+const WEIGHTS = [1, 0, 3, 6, 10];
+const WEIGHTED_SAMPLES = 40000;
+
+/**
+ * Every item must be drawn in proportion to its weight (within 5 binomial
+ * standard errors) and zero-weight items never
+ * @param {string} label
+ * @param {() => string} draw
+ */
+function expectFrequencies(label, draw) {
+	/** @type {Record<string, number>} */
+	const counts = Object.fromEntries(WEIGHTED_ITEMS.map((item) => [item, 0]));
+	for (let i = 0; i < WEIGHTED_SAMPLES; i++) counts[draw()]++;
+
+	const total = WEIGHTS.reduce((a, b) => a + b, 0);
+	WEIGHTED_ITEMS.forEach((item, i) => {
+		const p = WEIGHTS[i] / total;
+		if (p === 0) {
+			expect(counts[item] === 0, `${label}: zero-weight "${item}" was drawn ${counts[item]} times`);
+			return;
+		}
+		const z = (counts[item] - p * WEIGHTED_SAMPLES) / Math.sqrt(WEIGHTED_SAMPLES * p * (1 - p));
+		expect(Math.abs(z) < 5, `${label}: "${item}" drawn ${counts[item]} times (z = ${z.toFixed(2)})`);
+	});
+}
+
+/** @type {BehaviorCheck[]} */
+const WEIGHTED_CHECKS = [
+	{
+		name: "weighted draws follow the weights",
+		run() {
+			const rng = new SeedRandom("weighted");
+			expectFrequencies("weighted(items, weights)", () => rng.weighted(WEIGHTED_ITEMS, WEIGHTS));
+
+			const sampler = rng.createWeightedSampler(WEIGHTED_ITEMS, WEIGHTS);
+			expectFrequencies("createWeightedSampler", sampler);
+
+			/** @type {Array<[string, number]>} */
+			const pairs = WEIGHTED_ITEMS.map((item, i) => [item, WEIGHTS[i]]);
+			const parallel = new SeedRandom("forms");
+			const paired = new SeedRandom("forms");
+			expectSame(
+				Array.from({ length: 50 }, () => parallel.weighted(WEIGHTED_ITEMS, WEIGHTS)),
+				Array.from({ length: 50 }, () => paired.weighted(pairs)),
+				"parallel arrays and [item, weight] pairs",
+			);
+		},
+	},
+	{
+		name: "weighted sampling without replacement",
+		run() {
+			const rng = new SeedRandom("weightedSample");
+			for (let i = 0; i < 500; i++) {
+				const sample = rng.weightedSample(WEIGHTED_ITEMS, WEIGHTS, 3);
+				expect(new Set(sample).size === 3, `duplicate items in ${JSON.stringify(sample)}`);
+				expect(!sample.includes("b"), `zero-weight item drawn in ${JSON.stringify(sample)}`);
+			}
+			// Only four items have a positive weight
+			expect(rng.weightedSample(WEIGHTED_ITEMS, WEIGHTS, 4).length === 4, "could not draw every eligible item");
+			expect(
+				throws(() => rng.weightedSample(WEIGHTED_ITEMS, WEIGHTS, 5)),
+				"drew more items than have a positive weight",
+			);
+
+			// The heaviest item comes first most often
+			let heaviestFirst = 0;
+			for (let i = 0; i < 2000; i++) {
+				if (rng.weightedSample(WEIGHTED_ITEMS, WEIGHTS, 2)[0] === "e") heaviestFirst++;
+			}
+			expect(heaviestFirst > 800, `heaviest item first in only ${heaviestFirst} of 2000 samples`);
+		},
+	},
+	{
+		name: "invalid weights are rejected",
+		run() {
+			const rng = new SeedRandom("weights");
+			/** @type {Array<[string, number[]]>} */
+			const invalid = [
+				["all zero", [0, 0, 0]],
+				["negative", [1, -1, 2]],
+				["NaN", [1, NaN, 2]],
+				["infinite", [1, Infinity, 2]],
+				["too short", [1, 2]],
+			];
+			const items = ["x", "y", "z"];
+			for (const [label, weights] of invalid) {
+				expect(
+					throws(() => rng.weighted(items, weights)),
+					`weighted() accepted ${label} weights`,
+				);
+				expect(
+					throws(() => rng.createWeightedSampler(items, weights)),
+					`createWeightedSampler() accepted ${label} weights`,
+				);
+				expect(
+					throws(() => rng.weightedSample(items, weights, 1)),
+					`weightedSample() accepted ${label} weights`,
+				);
+			}
+			expect(
+				throws(() => rng.weighted([])),
+				"weighted() accepted no choices",
+			);
+		},
+	},
+];
+
+/* -------------------------------------------------- */
+/* Derived streams                                    */
+/* -------------------------------------------------- */
+
+/** First three `uint32()` of `new SeedRandom("derive", algo).derive("palette")` */
+const DERIVED_VECTORS = {
+	mulberry: [2278251795, 3053792955, 2549254030],
+	xoshiro: [467819738, 4099641875, 358220404],
+	sfc32: [3463230177, 2947876350, 2099466663],
+	pcg32: [3722612665, 1188913402, 1407812064],
+	splitmix64: [1072885518, 1953686826, 2905938789],
+};
+
+/**
+ * @param {SeedRandom} rng
+ * @param {number} [count]
+ */
+function head(rng, count = 8) {
+	return Array.from({ length: count }, () => rng.uint32());
+}
+
+/** @type {BehaviorCheck[]} */
+const DERIVE_CHECKS = [
+	{
+		name: "derive is stable and leaves the parent alone",
+		run() {
+			for (const algo of listAlgorithms()) {
+				const expected = DERIVED_VECTORS[/** @type {keyof typeof DERIVED_VECTORS} */ (algo)];
+				expect(expected !== undefined, `${algo}: no pinned derive() vector`);
+				expectSame(head(new SeedRandom("derive", algo).derive("palette"), 3), expected, `${algo}: derive("palette")`);
+
+				const parent = new SeedRandom("derive", algo);
+				const untouched = new SeedRandom("derive", algo);
+				parent.derive("palette");
+				parent.derive("mesh", 3);
+				expectSame(head(parent), head(untouched), `${algo}: derive() advanced the parent`);
+
+				// Children depend on the seed, not on how far the parent has run
+				expectSame(head(parent.derive("palette"), 3), expected, `${algo}: derive() after drawing`);
+			}
+		},
+	},
+	{
+		name: "derive keeps labels and paths apart",
+		run() {
+			const rng = new SeedRandom("labels");
+			/** @type {Array<[string, SeedRandom]>} */
+			const children = [
+				['"a"', rng.derive("a")],
+				['"b"', rng.derive("b")],
+				['"a/b"', rng.derive("a/b")],
+				['"a", "b"', rng.derive("a", "b")],
+				['"a" then "b"', rng.derive("a").derive("b")],
+				['"ab"', rng.derive("ab")],
+				["1", rng.derive(1)],
+				['"1"', rng.derive("1")],
+				['"mesh", 1', rng.derive("mesh", 1)],
+				['"mesh", 2', rng.derive("mesh", 2)],
+			];
+			const seen = new Map();
+			for (const [label, child] of children) {
+				const key = JSON.stringify(head(child));
+				expect(!seen.has(key), `derive(${label}) repeats derive(${seen.get(key)})`);
+				seen.set(key, label);
+			}
+
+			expectSame(head(rng.derive("a", "b")), head(rng.derive("a", "b")), 'derive("a", "b") twice');
+			expectSame(
+				new SeedRandom("labels", "sfc32").derive("a").snapshot().algo,
+				"sfc32",
+				"derive() keeps the parent algorithm",
+			);
+		},
+	},
+];
+
+/* -------------------------------------------------- */
+/* Seeded colors                                      */
+/* -------------------------------------------------- */
+
+/** A few `nice-color-palettes` entries, inlined so Node needs no JSON import */
+const TEST_PALETTES = [
+	["#69d2e7", "#a7dbd8", "#e0e4cc", "#f38630", "#fa6900"],
+	["#fe4365", "#fc9d9a", "#f9cdad", "#c8c8a9", "#83af9b"],
+	["#ecd078", "#d95b43", "#c02942", "#542437", "#53777a"],
+	["#556270", "#4ecdc4", "#c7f464", "#ff6b6b", "#c44d58"],
+	["#774f38", "#e08e79", "#f1d4af", "#ece5ce", "#c5e0dc"],
+	["#e8ddcb", "#cdb380", "#036564", "#033649", "#031634"],
+];
+
+/**
+ * The same steps `three-canvas.js` takes to color the scene
+ * @param {SeedRandom} rng
+ * @param {{ minContrast?: number, harmony?: import("./seeded-color.js").HarmonyType }} [options]
+ */
+function pickSceneColors(rng, options = {}) {
+	const colorRng = rng.derive("palette");
+	let colors = pickPalette(colorRng, TEST_PALETTES, { minSize: 3, minContrast: options.minContrast ?? 1.1 });
+	if (options.harmony) {
+		colors = harmony(colorRng, colors[0], options.harmony, { jitter: 8 });
+	}
+	return pickBackground(colorRng, colors);
+}
+
+/** @type {BehaviorCheck[]} */
+const COLOR_CHECKS = [
+	{
+		name: "seeded palettes reproduce",
+		run() {
+			for (const type of /** @type {const} */ (["analogous", "triadic", "tetradic"])) {
+				for (let seed = 0; seed < 20; seed++) {
+					expectSame(
+						pickSceneColors(new SeedRandom(seed), { harmony: type }),
+						pickSceneColors(new SeedRandom(seed), { harmony: type }),
+						`seed ${seed}, ${type}`,
+					);
+				}
+			}
+
+			const picks = new Set();
+			for (let seed = 0; seed < 20; seed++) {
+				picks.add(JSON.stringify(pickSceneColors(new SeedRandom(seed))));
+			}
+			expect(picks.size >= 10, `20 seeds gave only ${picks.size} distinct palettes`);
+		},
+	},
+	{
+		name: "seeded palettes respect minContrast",
+		run() {
+			for (let seed = 0; seed < 200; seed++) {
+				const rng = new SeedRandom(seed);
+				const palette = pickPalette(rng, TEST_PALETTES, { minSize: 2, maxSize: 4, minContrast: 1.5 });
+				expectWithin(palette.length, 2, 4, `seed ${seed}: palette size`);
+				palette.forEach((a, i) => {
+					for (const b of palette.slice(i + 1)) {
+						expect(contrastRatio(a, b) >= 1.5, `seed ${seed}: ${a} vs ${b} below 1.5:1`);
+					}
+				});
+
+				const { background, colors } = pickBackground(rng, palette, { minContrast: 2 });
+				expect(!colors.includes(background), `seed ${seed}: background ${background} also in the palette`);
+				if (palette.includes(background)) {
+					for (const color of colors) {
+						expect(contrastRatio(background, color) >= 2, `seed ${seed}: ${color} on ${background} below 2:1`);
+					}
+				}
+			}
+
+			const rng = new SeedRandom("impossible");
+			expect(
+				throws(() => pickPalette(rng, TEST_PALETTES, { minSize: 5, minContrast: 21 })),
+				"pickPalette() returned a palette that cannot satisfy minContrast",
+			);
+			expect(
+				throws(() => pickBackground(rng, [])),
+				"pickBackground() accepted an empty palette",
+			);
+		},
+	},
+];
+
+/* -------------------------------------------------- */
+/* Layouts                                            */
+/* -------------------------------------------------- */
+
+/**
+ * Whether two boxes are at least `gap` apart along some axis
+ * @param {import("./layouts.js").BoxPlacement} a
+ * @param {import("./layouts.js").BoxPlacement} b
+ * @param {number} gap
+ */
+function separated(a, b, gap) {
+	return [0, 1, 2].some(
+		(axis) => Math.abs(a.position[axis] - b.position[axis]) >= (a.size[axis] + b.size[axis]) / 2 + gap - 1e-9,
+	);
+}
+
+/** @param {import("./layouts.js").BoxPlacement} box */
+const isFlat = (box) => box.size.some((v) => v <= 0);
+
+/** @type {BehaviorCheck[]} */
+const LAYOUT_CHECKS = [
+	{
+		name: "avoidOverlaps leaves no intersections",
+		run() {
+			const rng = new SeedRandom("overlaps");
+			/** @type {import("./layouts.js").BoxPlacement[]} */
+			const boxes = Array.from({ length: 400 }, () => ({
+				position: [rng.between(-2, 2), rng.between(-2, 2), rng.between(-2, 2)],
+				size: [rng.between(0.05, 0.8), rng.between(0.05, 0.8), rng.between(0.05, 0.8)],
+			}));
+
+			for (const gap of [0, 0.1]) {
+				const placed = avoidOverlaps(boxes, gap);
+				expect(placed.length === boxes.length, `gap ${gap}: ${placed.length} placements for ${boxes.length} boxes`);
+				placed.forEach((box, i) => {
+					expectSame(box.position, boxes[i].position, `gap ${gap}: box ${i} moved`);
+					box.size.forEach((v, axis) => expectWithin(v, 0, boxes[i].size[axis], `gap ${gap}: box ${i} size`));
+				});
+
+				const solid = placed.filter((box) => !isFlat(box));
+				expect(solid.length > boxes.length / 4, `gap ${gap}: only ${solid.length} boxes kept`);
+				solid.forEach((a, i) => {
+					for (const b of solid.slice(i + 1)) {
+						expect(separated(a, b, gap), `gap ${gap}: ${JSON.stringify(a)} and ${JSON.stringify(b)} intersect`);
+					}
+				});
+			}
+		},
+	},
+	{
+		name: "avoidOverlaps skips zero-size boxes",
+		run() {
+			/** @type {import("./layouts.js").BoxPlacement[]} */
+			const boxes = [
+				{ position: [0, 0, 0], size: [0, 0, 0] },
+				{ position: [2, 0, 0], size: [1, 0, 1] },
+				{ position: [0, 0, 0], size: [1, 1, 1] },
+				{ position: [2, 0, 0], size: [1, 1, 1] },
+			];
+			expectSame(avoidOverlaps(boxes, 0.5), boxes, "flat boxes blocked later ones");
+		},
+	},
+	{
+		name: "layouts accept collapsed and reversed ranges",
+		run() {
+			const rng = new SeedRandom("ranges");
+			/** @type {Array<Partial<import("./layouts.js").LayoutOptions>>} */
+			const variants = [
+				{ positionRange: [1, 1] },
+				{ scaleRange: [0.5, 0.5] },
+				{ positionRange: [0, 0], scaleRange: [0, 0] },
+			];
+			for (const layout of LAYOUT_NAMES) {
+				for (const avoidOverlap of [false, true]) {
+					const base = { ...DEFAULT_LAYOUT_OPTIONS, layout, avoidOverlap, meshesCount: 60 };
+					for (const variant of variants) {
+						const label = `${layout} ${JSON.stringify(variant)}${avoidOverlap ? " avoiding overlaps" : ""}`;
+						const boxes = computeLayout({ ...base, ...variant }, rng);
+						for (const { position, size } of boxes) {
+							expect([...position, ...size].every(Number.isFinite), `${label}: non-finite placement`);
+						}
+					}
+
+					const swapped = { ...base, positionRange: [1, -1], scaleRange: [1, 0.05] };
+					expectSame(
+						computeLayout(/** @type {import("./layouts.js").LayoutOptions} */ (swapped), rng),
+						computeLayout({ ...base, positionRange: [-1, 1], scaleRange: [0.05, 1] }, rng),
+						`${layout}: reversed ranges`,
+					);
+				}
+			}
+		},
+	},
+];
+
+/** @type {BehaviorCheck[]} */
+export const BEHAVIOR_CHECKS = [
+	...NOISE_CHECKS,
+	...SNAPSHOT_CHECKS,
+	...DISTRIBUTION_CHECKS,
+	...WEIGHTED_CHECKS,
+	...DERIVE_CHECKS,
+	...COLOR_CHECKS,
+	...LAYOUT_CHECKS,
+];
+
+/**
+ * Run every behavior check
+ * @returns {string[]} One message per failed check, empty when all pass
+ */
+export function checkBehavior() {
+	/** @type {string[]} */
+	const failures = [];
+	for (const check of BEHAVIOR_CHECKS) {
+		try {
+			check.run();
+		} catch (error) {
+			failures.push(`${check.name}: ${error instanceof Error ? error.message : error}`);
+		}
+	}
+	return failures;
+}
+
+/**
+ * Throw if any behavior check fails
+ */
+export function assertBehavior() {
+	const failures = checkBehavior();
+	if (failures.length > 0) {
+		throw new Error(`SeedRandom behavior checks failed:\n${failures.join("\n")}`);
+	}
+	console.log(`All ${BEHAVIOR_CHECKS.length} SeedRandom behavior checks passed.`);
+}
@@ -0,0 +1,14 @@
+/**
+ * @file Headless regression checks for SeedRandom, run by `npm test`
+ *
+ * Each check throws on failure, which makes Node exit non-zero.
+ */
+
+import { assertBehavior } from "./seed-random-behavior.js";
+import { assertGoldenVectors } from "./seed-random-golden.js";
+import { assertQuality } from "./seed-random-quality.js";
+
+// Golden vectors first: a changed stream makes the statistics moot
+assertGoldenVectors();
+assertQuality();
+assertBehavior();
@@ -0,0 +1,242 @@
+/**
+ * @file Golden vectors for SeedRandom
+ *
+ * Pins the seed words and the first outputs of `float()`, `int(0, 99)` and
+ * `pick(GOLDEN_PICK_ITEMS)` for known seeds, per algorithm and hash version.
+ * If any of these change, artwork saved with an old seed no longer reproduces.
+ *
+ * Also pins xoshiro128**'s `jump()` and `longJump()` against the reference C
+ * implementation (Blackman & Vigna), started from the state `[1, 2, 3, 4]`.
+ *
+ * Runs headless in Node as part of `npm test` (see `seed-random-checks.js`).
+ *
+ * Never regenerate these values to make a check pass — add a new hash version instead.
+ */
+
+import { SeedRandom, hashSeed } from "./seed-random.js";
+
+/**
+ * @typedef {Object} GoldenVector
+ * @property {import("./seed-random.js").Seed} seed
+ * @property {import("./seed-random.js").RNGAlgorithm} algo
+ * @property {import("./seed-random.js").HashVersion} hashVersion
+ * @property {number[]} seedWords - Output of `hashSeed(seed, hashVersion)`
+ * @property {number[]} float - First `float()` values of a fresh instance
+ * @property {number[]} int - First `int(0, 99)` values of a fresh instance
+ * @property {string} pick - First `pick(GOLDEN_PICK_ITEMS)` values of a fresh instance, joined
+ */
+
+export const GOLDEN_PICK_ITEMS = ["a", "b", "c", "d", "e", "f", "g", "h"];
+
+/** @type {GoldenVector[]} */
+export const GOLDEN_VECTORS = [
+	{
+		seed: "golden",
+		algo: "xoshiro",
+		hashVersion: 1,
+		seedWords: [1262686998, 1532663932, 2446441530, 3251507000],
+		float: [0.46250781510025263, 0.09711518231779337, 0.1896674686577171, 0.7638517087325454, 0.762317614397034],
+		int: [40, 32, 75, 8, 23, 17, 29, 7],
+		pick: "eehehbbh",
+	},
+	{
+		seed: "",
+		algo: "xoshiro",
+		hashVersion: 1,
+		seedWords: [1779033703, 3144134277, 1013904242, 2773480762],
+		float: [0.6126510770991445, 0.5643946416676044, 0.38175466656684875, 0.7515274793840945, 0.24603260564617813],
+		int: [40, 28, 8, 46, 95, 82, 34, 8],
+		pick: "eaacdcga",
+	},
+	{
+		seed: 42,
+		algo: "xoshiro",
+		hashVersion: 1,
+		seedWords: [1843214009, 1629477093, 3693882720, 2146415245],
+		float: [0.2990744416601956, 0.9849971742369235, 0.0405210240278393, 0.33125847624614835, 0.6635800453368574],
+		int: [46, 50, 73, 22, 93, 63, 26, 64],
+		pick: "ccbcbhge",
+	},
+	{
+		seed: "golden",
+		algo: "mulberry",
+		hashVersion: 1,
+		seedWords: [1262686998, 1532663932, 2446441530, 3251507000],
+		float: [0.5808458938263357, 0.21765170968137681, 0.01985280285589397, 0.5828438478056341, 0.6120712547563016],
+		int: [18, 75, 39, 65, 22, 85, 16, 46],
+		pick: "ghdbgbec",
+	},
+	{
+		seed: "",
+		algo: "mulberry",
+		hashVersion: 1,
+		seedWords: [1779033703, 3144134277, 1013904242, 2773480762],
+		float: [0.41696262010373175, 0.9287681325804442, 0.7078936931211501, 0.9262458968441933, 0.48323937016539276],
+		int: [17, 55, 61, 35, 91, 85, 16, 1],
+		pick: "bdfddbab",
+	},
+	{
+		seed: 42,
+		algo: "mulberry",
+		hashVersion: 1,
+		seedWords: [1843214009, 1629477093, 3693882720, 2146415245],
+		float: [0.2341631583403796, 0.2480722265318036, 0.25046137371100485, 0.42032851628027856, 0.9113951257895678],
+		int: [7, 0, 9, 31, 59, 81, 35, 93],
+		pick: "debhdfdb",
+	},
+	{
+		seed: "golden",
+		algo: "xoshiro",
+		hashVersion: 2,
+		seedWords: [2078682433, 2864309052, 4156405215, 2118965325],
+		float: [0.33778044441714883, 0.905727410921827, 0.5406121853739023, 0.6128430992830545, 0.433291332796216],
+		int: [62, 9, 56, 69, 4, 36, 68, 86],
+		pick: "cbafaaag",
+	},
+	{
+		seed: "",
+		algo: "xoshiro",
+		hashVersion: 2,
+		seedWords: [41608494, 3485963809, 1435736333, 1262568316],
+		float: [0.04177705920301378, 0.12330921646207571, 0.0998721660580486, 0.00005581066943705082, 0.8952699867077172],
+		int: [3, 52, 87, 5, 14, 73, 75, 31],
+		pick: "hehbcbhd",
+	},
+	{
+		seed: 42,
+		algo: "xoshiro",
+		hashVersion: 2,
+		seedWords: [2814168319, 14930478, 1039855864, 944835771],
+		float: [0.023331348318606615, 0.5837189299054444, 0.4696653624996543, 0.4200727224815637, 0.7995689588133246],
+		int: [78, 14, 72, 5, 29, 63, 88, 96],
+		pick: "ccefbdea",
+	},
+	{
+		seed: "golden",
+		algo: "mulberry",
+		hashVersion: 2,
+		seedWords: [2078682433, 2864309052, 4156405215, 2118965325],
+		float: [0.18651698203757405, 0.01725947391241789, 0.127647657180205, 0.9776958909351379, 0.6389478326309472],
+		int: [38, 76, 13, 77, 45, 74, 2, 64],
+		pick: "cebffgga",
+	},
+	{
+		seed: "",
+		algo: "mulberry",
+		hashVersion: 2,
+		seedWords: [41608494, 3485963809, 1435736333, 1262568316],
+		float: [0.02388156927190721, 0.5874439985491335, 0.6664838027209044, 0.6248070849105716, 0.27699435455724597],
+		int: [59, 62, 36, 96, 94, 7, 4, 67],
+		pick: "hcaegdad",
+	},
+	{
+		seed: 42,
+		algo: "mulberry",
+		hashVersion: 2,
+		seedWords: [2814168319, 14930478, 1039855864, 944835771],
+		float: [0.6706536326091737, 0.07789251254871488, 0.07160528865642846, 0.6991009803023189, 0.25547713111154735],
+		int: [19, 94, 73, 47, 23, 72, 15, 71],
+		pick: "dcfhdedd",
+	},
+];
+
+/**
+ * @typedef {Object} JumpVector
+ * @property {"jump" | "longJump"} method
+ * @property {number[]} state - State after the jump
+ * @property {number[]} uint32 - First `uint32()` values after the jump
+ */
+
+/** State every jump vector starts from */
+export const JUMP_START_STATE = [1, 2, 3, 4];
+
+/**
+ * From the reference `jump()` and `long_jump()` of xoshiro128** 1.1
+ * @type {JumpVector[]}
+ */
+export const JUMP_VECTORS = [
+	{
+		method: "jump",
+		state: [2843103750, 2038079848, 1533207345, 44816753],
+		uint32: [1194304935, 745561276, 25819468, 3320478005],
+	},
+	{
+		method: "longJump",
+		state: [1611968294, 2125834322, 966769569, 3193880526],
+		uint32: [4148901660, 60341234, 3638978148, 2927796021],
+	},
+];
+
+/**
+ * Compare the current implementation against the golden vectors.
+ * @returns {string[]} One message per mismatch, empty when everything matches
+ */
+export function checkGoldenVectors() {
+	/** @type {string[]} */
+	const failures = [];
+
+	for (const vector of GOLDEN_VECTORS) {
+		const { seed, algo, hashVersion } = vector;
+		const label = `seed=${JSON.stringify(seed)} algo=${algo} hashVersion=${hashVersion}`;
+		const create = () => new SeedRandom(seed, algo, { hashVersion });
+
+		/**
+		 * @param {string} name
+		 * @param {unknown} expected
+		 * @param {unknown} actual
+		 */
+		const compare = (name, expected, actual) => {
+			const e = JSON.stringify(expected);
+			const a = JSON.stringify(actual);
+			if (e !== a) failures.push(`${label} ${name}: expected ${e}, got ${a}`);
+		};
+
+		compare("seedWords", vector.seedWords, hashSeed(seed, hashVersion));
+
+		const floatRng = create();
+		compare(
+			"float",
+			vector.float,
+			vector.float.map(() => floatRng.float()),
+		);
+
+		const intRng = create();
+		compare(
+			"int",
+			vector.int,
+			vector.int.map(() => intRng.int(0, 99)),
+		);
+
+		const pickRng = create();
+		compare("pick", vector.pick, Array.from(vector.pick, () => pickRng.pick(GOLDEN_PICK_ITEMS)).join(""));
+	}
+
+	for (const vector of JUMP_VECTORS) {
+		const rng = new SeedRandom(0, "xoshiro");
+		rng.setState({ s: JUMP_START_STATE });
+		rng[vector.method]();
+
+		const label = `xoshiro ${vector.method}`;
+		const state = rng.getState().s;
+		const values = vector.uint32.map(() => rng.uint32());
+		if (JSON.stringify(state) !== JSON.stringify(vector.state)) {
+			failures.push(`${label} state: expected ${JSON.stringify(vector.state)}, got ${JSON.stringify(state)}`);
+		}
+		if (JSON.stringify(values) !== JSON.stringify(vector.uint32)) {
+			failures.push(`${label} uint32: expected ${JSON.stringify(vector.uint32)}, got ${JSON.stringify(values)}`);
+		}
+	}
+
+	return failures;
+}
+
+/**
+ * Throw if any golden vector no longer matches
+ */
+export function assertGoldenVectors() {
+	const failures = checkGoldenVectors();
+	if (failures.length > 0) {
+		throw new Error(`Golden vector mismatch:\n${failures.join("\n")}`);
+	}
+	console.log(`All ${GOLDEN_VECTORS.length + JUMP_VECTORS.length} golden vectors match.`);
+}
@@ -0,0 +1,264 @@
+/**
+ * @file Statistical quality checks for SeedRandom
+ *
+ * Guards against regressions in the generators and the derived methods:
+ * - chi-square uniformity of `int`
+ * - Kolmogorov–Smirnov uniformity of `float`
+ * - modulo bias of `int` for ranges close to 2^32
+ * - mean/variance/skewness/kurtosis of `normal`
+ * - `skip(n)` matching `n` calls to `uint32()`
+ *
+ * Every check runs for every registered algorithm. Thresholds are loose
+ * (p < 1e-4 or |z| > 5) so a healthy generator essentially never fails.
+ *
+ * Runs headless in Node as part of `npm test` (see `seed-random-checks.js`).
+ */
+
+import { SeedRandom, listAlgorithms } from "./seed-random.js";
+
+/**
+ * @typedef {Object} QualityResult
+ * @property {string} check
+ * @property {string} algo
+ * @property {number} statistic - Test statistic (chi², D, z or mismatch count)
+ * @property {number} pValue - Two-sided p-value where applicable, otherwise 1 (pass) or 0 (fail)
+ * @property {boolean} passed
+ */
+
+/**
+ * @typedef {Object} QualityOptions
+ * @property {number} [samples=100000] - Draws per check
+ * @property {import("./seed-random.js").Seed} [seed="quality"]
+ * @property {string[]} [algorithms] - Defaults to every registered algorithm
+ */
+
+const ALPHA = 1e-4;
+const MAX_Z = 5;
+
+/* -------------------------------------------------- */
+/* Distribution helpers                               */
+/* -------------------------------------------------- */
+
+/**
+ * Standard normal CDF (Abramowitz–Stegun 7.1.26 via erf)
+ * @param {number} z
+ */
+function normalCdf(z) {
+	const x = Math.abs(z) / Math.SQRT2;
+	const t = 1 / (1 + 0.3275911 * x);
+	const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+	const erf = 1 - poly * Math.exp(-x * x);
+	return z >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+}
+
+/**
+ * Upper tail of the chi-square distribution (Wilson–Hilferty approximation)
+ * @param {number} chi2
+ * @param {number} dof
+ */
+function chiSquareSurvival(chi2, dof) {
+	const k = 2 / (9 * dof);
+	const z = (Math.cbrt(chi2 / dof) - (1 - k)) / Math.sqrt(k);
+	return 1 - normalCdf(z);
+}
+
+/**
+ * Asymptotic Kolmogorov distribution survival function
+ * @param {number} d - KS statistic
+ * @param {number} n - Sample size
+ */
+function ksSurvival(d, n) {
+	const sqrtN = Math.sqrt(n);
+	const lambda = (sqrtN + 0.12 + 0.11 / sqrtN) * d;
+	let sum = 0;
+	for (let k = 1; k <= 100; k++) {
+		const term = 2 * (k % 2 === 1 ? 1 : -1) * Math.exp(-2 * k * k * lambda * lambda);
+		sum += term;
+		if (Math.abs(term) < 1e-12) break;
+	}
+	return Math.min(1, Math.max(0, sum));
+}
+
+/** @param {number} z */
+const twoSided = (z) => 2 * (1 - normalCdf(Math.abs(z)));
+
+/* -------------------------------------------------- */
+/* Checks                                             */
+/* -------------------------------------------------- */
+
+/**
+ * @param {SeedRandom} rng
+ * @param {number} samples
+ * @param {number} bins
+ */
+function chiSquareInt(rng, samples, bins) {
+	const counts = new Float64Array(bins);
+	for (let i = 0; i < samples; i++) counts[rng.int(0, bins - 1)]++;
+
+	const expected = samples / bins;
+	let chi2 = 0;
+	for (const c of counts) chi2 += (c - expected) ** 2 / expected;
+
+	const p = chiSquareSurvival(chi2, bins - 1);
+	// Too uniform is as suspicious as too lumpy
+	return { statistic: chi2, pValue: p, passed: p > ALPHA && p < 1 - ALPHA };
+}
+
+/**
+ * @param {SeedRandom} rng
+ * @param {number} samples
+ */
+function ksFloat(rng, samples) {
+	const values = new Float64Array(samples);
+	for (let i = 0; i < samples; i++) values[i] = rng.float();
+	values.sort();
+
+	let d = 0;
+	for (let i = 0; i < samples; i++) {
+		const x = values[i];
+		d = Math.max(d, (i + 1) / samples - x, x - i / samples);
+	}
+
+	const p = ksSurvival(d, samples);
+	return { statistic: d, pValue: p, passed: p > ALPHA };
+}
+
+/**
+ * With range = 3 · 2^30, a plain `uint32 % range` puts half of all values in the
+ * lowest third. A bias-free `int` puts a third there.
+ *
+ * @param {SeedRandom} rng
+ * @param {number} samples
+ */
+function intBiasNearLimit(rng, samples) {
+	const range = 3 * 2 ** 30;
+	const third = range / 3;
+
+	let low = 0;
+	for (let i = 0; i < samples; i++) {
+		if (rng.int(0, range - 1) < third) low++;
+	}
+
+	const p0 = 1 / 3;
+	const z = (low - samples * p0) / Math.sqrt(samples * p0 * (1 - p0));
+	const pValue = twoSided(z);
+	return { statistic: z, pValue, passed: Math.abs(z) < MAX_Z };
+}
+
+/**
+ * Full-width ranges must stay in bounds and hit both halves
+ * @param {SeedRandom} rng
+ * @param {number} samples
+ */
+function intFullRange(rng, samples) {
+	let outOfRange = 0;
+	let high = 0;
+	for (let i = 0; i < samples; i++) {
+		const x = rng.int(-(2 ** 31), 2 ** 31 - 1);
+		if (!Number.isInteger(x) || x < -(2 ** 31) || x > 2 ** 31 - 1) outOfRange++;
+		if (x >= 0) high++;
+	}
+
+	const z = (high - samples / 2) / Math.sqrt(samples / 4);
+	return { statistic: z, pValue: twoSided(z), passed: outOfRange === 0 && Math.abs(z) < MAX_Z };
+}
+
+/**
+ * Worst of the mean, variance, skewness and excess-kurtosis z-scores
+ * @param {SeedRandom} rng
+ * @param {number} samples
+ */
+function normalMoments(rng, samples) {
+	let s1 = 0,
+		s2 = 0,
+		s3 = 0,
+		s4 = 0;
+	for (let i = 0; i < samples; i++) {
+		const x = rng.normal();
+		const x2 = x * x;
+		s1 += x;
+		s2 += x2;
+		s3 += x2 * x;
+		s4 += x2 * x2;
+	}
+
+	const n = samples;
+	const z = [
+		s1 / n / Math.sqrt(1 / n),
+		(s2 / n - 1) / Math.sqrt(2 / n),
+		s3 / n / Math.sqrt(15 / n),
+		(s4 / n - 3) / Math.sqrt(96 / n),
+	];
+	const worst = z.reduce((a, b) => (Math.abs(b) > Math.abs(a) ? b : a));
+	return { statistic: worst, pValue: twoSided(worst), passed: Math.abs(worst) < MAX_Z };
+}
+
+/**
+ * @param {() => SeedRandom} create
+ */
+function skipConsistency(create) {
+	let mismatches = 0;
+	for (const n of [0, 1, 2, 31, 1000, 65537]) {
+		const skipped = create();
+		const stepped = create();
+		skipped.skip(n);
+		for (let i = 0; i < n; i++) stepped.uint32();
+		for (let i = 0; i < 4; i++) {
+			if (skipped.uint32() !== stepped.uint32()) mismatches++;
+		}
+	}
+	return { statistic: mismatches, pValue: mismatches === 0 ? 1 : 0, passed: mismatches === 0 };
+}
+
+/* -------------------------------------------------- */
+/* Runner                                             */
+/* -------------------------------------------------- */
+
+/**
+ * Run every check for every algorithm
+ * @param {QualityOptions} [options]
+ * @returns {QualityResult[]}
+ */
+export function runQualityChecks(options = {}) {
+	const { samples = 100000, seed = "quality", algorithms = listAlgorithms() } = options;
+
+	/** @type {QualityResult[]} */
+	const results = [];
+
+	for (const algo of algorithms) {
+		/** @param {string} check */
+		const create = (check) => new SeedRandom(`${seed}:${check}`, algo);
+
+		/** @type {Array<[string, () => { statistic: number, pValue: number, passed: boolean }]>} */
+		const checks = [
+			["chi-square int(0, 9)", () => chiSquareInt(create("chi10"), samples, 10)],
+			["chi-square int(0, 255)", () => chiSquareInt(create("chi256"), samples, 256)],
+			["KS float", () => ksFloat(create("ks"), samples)],
+			["int bias near 2^32", () => intBiasNearLimit(create("bias"), samples)],
+			["int full 32-bit range", () => intFullRange(create("full"), samples)],
+			["normal moments", () => normalMoments(create("normal"), samples)],
+			["skip consistency", () => skipConsistency(() => create("skip"))],
+		];
+
+		for (const [check, run] of checks) {
+			results.push({ check, algo, ...run() });
+		}
+	}
+
+	return results;
+}
+
+/**
+ * Throw if any check fails
+ * @param {QualityOptions} [options]
+ */
+export function assertQuality(options) {
+	const results = runQualityChecks(options);
+	const failures = results.filter((r) => !r.passed);
+
+	if (failures.length > 0) {
+		const lines = failures.map((r) => `${r.algo} ${r.check}: statistic=${r.statistic}, p=${r.pValue}`);
+		throw new Error(`RNG quality checks failed:\n${lines.join("\n")}`);
+	}
+	console.log(`All ${results.length} RNG quality checks passed.`);
+}
@@ -17,6 +17,9 @@
  * Use `crypto.getRandomValues()` or `crypto.randomUUID()` for security-sensitive use cases.
  */
 
+import { createNoise, domainWarp, fbm, ridged, turbulence } from "./noise.js";
+import { poissonDisc } from "./poisson-disc.js";
+
 /* -------------------------------------------------- */
 /* Types (TypeScript via JSDoc)                       */
 /* -------------------------------------------------- */
@@ -35,23 +38,70 @@
  * @returns {number} float in [0, 1)
  */
 
+/**
+ * Common interface every PRNG algorithm implements
+ * @typedef {Object} RNGGenerator
+ * @property {RNGNext} next
+ * @property {() => number} uint32
+ * @property {RNGState} state - Getter returns a copy, setter copies the input
+ * @property {(n: number) => void} [skip] - Advance `n` steps faster than calling `uint32` `n` times
+ * @property {() => void} [jump] - Advance far ahead (algorithm-specific distance)
+ * @property {() => void} [longJump] - Advance even further than `jump`
+ */
+
+/**
+ * Build a generator from 4× uint32 seed words
+ * @callback RNGFactory
+ * @param {number[]} seed
+ * @returns {RNGGenerator}
+ */
+
+/**
+ * Built-in algorithms, or any name added with `registerAlgorithm`
+ * @typedef {"mulberry" | "xoshiro" | "sfc32" | "pcg32" | "splitmix64" | (string & {})} RNGAlgorithm
+ */
+
+/**
+ * Seed hash versions. A version is frozen once released: the same input
+ * always hashes to the same words under the same version.
+ * @typedef {1 | 2} HashVersion
+ */
+
+/**
+ * @typedef {Object} SeedRandomOptions
+ * @property {HashVersion} [hashVersion=1] - How string/number seeds are turned into seed words
+ */
+
+/**
+ * JSON-serializable snapshot of a `SeedRandom` instance
+ * @typedef {Object} RNGSnapshot
+ * @property {number} version - Snapshot format version
+ * @property {RNGAlgorithm} algo
+ * @property {number[]} seed - 4× uint32 seed words
+ * @property {RNGState} state
+ * @property {HashVersion} [hashVersion=1] - Used by later `setSeed` calls
+ * @property {number | null} [spare=null] - Cached second Box–Muller value
+ */
+
+const SNAPSHOT_VERSION = 1;
+
 /* -------------------------------------------------- */
 /* Seed hashing & entropy                             */
 /* -------------------------------------------------- */
 
 /**
- * Hash a string into four 32-bit integers.
+ * Hash version 1 — FROZEN.
+ * The cyrb128 mixing loop without a finalizer (the original `hashString`).
  *
  * NOTE:
  * - This is NOT MurmurHash.
  * - This is NOT cryptographically secure.
- * - This hash algorithm is an internal detail and MAY CHANGE.
- * - Do NOT rely on it for cross-version determinism.
+ * - Never change this function: saved seeds depend on its exact output.
  *
  * @param {string} str
  * @returns {number[]} 4× uint32 values
  */
-function hashString(str) {
+function hashStringV1(str) {
 	let h1 = 1779033703,
 		h2 = 3144134277,
 		h3 = 1013904242,
@@ -68,6 +118,50 @@ function hashString(str) {
 	return [h1 >>> 0, h2 >>> 0, h3 >>> 0, h4 >>> 0];
 }
 
+/**
+ * Hash version 2 — FROZEN.
+ * Full cyrb128 with the avalanche finalizer, so short or similar seeds
+ * ("1", "2", ...) give unrelated seed words.
+ *
+ * @param {string} str
+ * @returns {number[]} 4× uint32 values
+ */
+function hashStringV2(str) {
+	let [h1, h2, h3, h4] = hashStringV1(str);
+
+	h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+	h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+	h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+	h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179);
+	h1 ^= h2 ^ h3 ^ h4;
+	h2 ^= h1;
+	h3 ^= h1;
+	h4 ^= h1;
+
+	return [h1 >>> 0, h2 >>> 0, h3 >>> 0, h4 >>> 0];
+}
+
+/** @type {Readonly<Record<HashVersion, (str: string) => number[]>>} */
+const SEED_HASHES = Object.freeze({ 1: hashStringV1, 2: hashStringV2 });
+
+/** Hash version used when none is given. Changing it would change every saved seed. */
+export const DEFAULT_HASH_VERSION = 1;
+
+/**
+ * Turn a seed into four 32-bit integers using a frozen hash version.
+ *
+ * @param {Seed} seed - Numbers are hashed by their string form
+ * @param {HashVersion} [hashVersion=1]
+ * @returns {number[]} 4× uint32 values
+ */
+export function hashSeed(seed, hashVersion = DEFAULT_HASH_VERSION) {
+	const hash = SEED_HASHES[hashVersion];
+	if (!hash) {
+		throw new Error(`Unknown hash version: ${hashVersion}`);
+	}
+	return hash(String(seed));
+}
+
 /**
  * Get high-entropy seed from system sources.
  * @returns {number[]} 4× uint32 values
@@ -93,39 +187,96 @@ function getEntropySeed() {
 /* PRNG algorithms                                   */
 /* -------------------------------------------------- */
 
+/**
+ * @param {number} x
+ * @param {number} k
+ */
+const rotl = (x, k) => (x << k) | (x >>> (32 - k));
+
+/**
+ * 64-bit multiply on (hi, lo) uint32 pairs, modulo 2^64
+ * @param {number} ah
+ * @param {number} al
+ * @param {number} bh
+ * @param {number} bl
+ * @returns {[hi: number, lo: number]}
+ */
+function mul64(ah, al, bh, bl) {
+	const a0 = al & 0xffff;
+	const a1 = al >>> 16;
+	const b0 = bl & 0xffff;
+	const b1 = bl >>> 16;
+
+	const p00 = a0 * b0;
+	const p01 = a0 * b1;
+	const p10 = a1 * b0;
+	const mid = (p00 >>> 16) + (p01 & 0xffff) + (p10 & 0xffff);
+	const lo = ((mid << 16) | (p00 & 0xffff)) >>> 0;
+	const hi = a1 * b1 + (p01 >>> 16) + (p10 >>> 16) + (mid >>> 16) + Math.imul(ah, bl) + Math.imul(al, bh);
+
+	return [hi >>> 0, lo];
+}
+
+/**
+ * 64-bit add on (hi, lo) uint32 pairs, modulo 2^64
+ * @param {number} ah
+ * @param {number} al
+ * @param {number} bh
+ * @param {number} bl
+ * @returns {[hi: number, lo: number]}
+ */
+function add64(ah, al, bh, bl) {
+	const lo = al + bl;
+	const carry = lo > 0xffffffff ? 1 : 0;
+	return [(ah + bh + carry) >>> 0, lo >>> 0];
+}
+
 /**
  * Mulberry32 PRNG
- * Fast, simple, no state export
+ * Fast, simple, single-word state
  *
  * @param {number} seed
- * @returns {RNGNext}
+ * @returns {RNGGenerator}
  */
 function mulberry32(seed) {
 	let t = seed >>> 0;
-	return () => {
-		t += 0x6d2b79f5;
+
+	function nextUint32() {
+		t = (t + 0x6d2b79f5) >>> 0;
 		let r = Math.imul(t ^ (t >>> 15), t | 1);
 		r ^= r + Math.imul(r ^ (r >>> 7), r | 61);
-		return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+		return (r ^ (r >>> 14)) >>> 0;
+	}
+
+	return {
+		next() {
+			return nextUint32() / 4294967296;
+		},
+		uint32: nextUint32,
+		get state() {
+			return { s: [t] };
+		},
+		set state(v) {
+			t = v.s[0] >>> 0;
+		},
+		/** @param {number} n */
+		skip(n) {
+			// The state is a Weyl sequence: t += n · increment
+			t = (t + Math.imul(n >>> 0, 0x6d2b79f5)) >>> 0;
+		},
 	};
 }
 
 /**
  * xoshiro128** PRNG
- * High quality, supports state save/restore
+ * High quality, supports jump-ahead for non-overlapping streams
  *
  * @param {number[]} seed
- * @returns {{ next: RNGNext, uint32: () => number, state: RNGState }}
+ * @returns {RNGGenerator}
  */
 function xoshiro128(seed) {
 	let s = seed.slice(0, 4);
 
-	/**
-	 * @param {number} x
-	 * @param {number} k
-	 */
-	const rotl = (x, k) => (x << k) | (x >>> (32 - k));
-
 	function nextUint32() {
 		const result = Math.imul(rotl(s[1] * 5, 7), 9) >>> 0;
 		const t = s[1] << 9;
@@ -140,50 +291,351 @@ function xoshiro128(seed) {
 		return result;
 	}
 
+	/**
+	 * Apply a jump polynomial (see the xoshiro reference implementation)
+	 * @param {number[]} poly
+	 */
+	function jumpBy(poly) {
+		const acc = [0, 0, 0, 0];
+		for (const word of poly) {
+			for (let b = 0; b < 32; b++) {
+				if (word & (1 << b)) {
+					for (let i = 0; i < 4; i++) acc[i] ^= s[i];
+				}
+				nextUint32();
+			}
+		}
+		s = acc;
+	}
+
+	return {
+		next() {
+			return nextUint32() / 4294967296;
+		},
+		uint32: nextUint32,
+		get state() {
+			return { s: s.map((x) => x >>> 0) };
+		},
+		set state(v) {
+			s = v.s.slice(0, 4).map((x) => x >>> 0);
+		},
+		/** Equivalent to 2^64 calls */
+		jump() {
+			jumpBy([0x8764000b, 0xf542d2d3, 0x6fa035c3, 0x77f2db5b]);
+		},
+		/** Equivalent to 2^96 calls */
+		longJump() {
+			jumpBy([0xb523952e, 0x0b6f099f, 0xccf5a0ef, 0x1c580662]);
+		},
+	};
+}
+
+/**
+ * sfc32 PRNG (Small Fast Chaotic, from PractRand)
+ * Seed words map directly onto a, b, c, d with the counter starting at d
+ *
+ * @param {number[]} seed
+ * @returns {RNGGenerator}
+ */
+function sfc32(seed) {
+	let [a, b, c, d] = seed;
+
+	function nextUint32() {
+		let t = (a + b) | 0;
+		a = b ^ (b >>> 9);
+		b = (c + (c << 3)) | 0;
+		c = rotl(c, 21);
+		d = (d + 1) | 0;
+		t = (t + d) | 0;
+		c = (c + t) | 0;
+		return t >>> 0;
+	}
+
+	return {
+		next() {
+			return nextUint32() / 4294967296;
+		},
+		uint32: nextUint32,
+		get state() {
+			return { s: [a >>> 0, b >>> 0, c >>> 0, d >>> 0] };
+		},
+		set state(v) {
+			[a, b, c, d] = v.s.map((x) => x >>> 0);
+		},
+	};
+}
+
+/**
+ * PCG32 PRNG (PCG-XSH-RR 64/32)
+ * Seeded like `pcg32_srandom_r(initstate, initseq)` with
+ * initstate = seed[0..1] and initseq = seed[2..3] (high word first)
+ *
+ * @param {number[]} seed
+ * @returns {RNGGenerator}
+ */
+function pcg32(seed) {
+	// 6364136223846793005
+	const MUL_HI = 0x5851f42d;
+	const MUL_LO = 0x4c957f2d;
+
+	let sh = 0;
+	let sl = 0;
+	let ih = ((seed[2] << 1) | (seed[3] >>> 31)) >>> 0;
+	let il = ((seed[3] << 1) | 1) >>> 0;
+
+	function step() {
+		const [mh, ml] = mul64(sh, sl, MUL_HI, MUL_LO);
+		[sh, sl] = add64(mh, ml, ih, il);
+	}
+
+	function nextUint32() {
+		const oh = sh;
+		const ol = sl;
+		step();
+
+		const xh = oh ^ (oh >>> 18);
+		const xl = ol ^ ((ol >>> 18) | (oh << 14));
+		const xorshifted = ((xl >>> 27) | (xh << 5)) >>> 0;
+		const rot = oh >>> 27;
+		return ((xorshifted >>> rot) | (xorshifted << (-rot & 31))) >>> 0;
+	}
+
+	step();
+	[sh, sl] = add64(sh, sl, seed[0] >>> 0, seed[1] >>> 0);
+	step();
+
+	return {
+		next() {
+			return nextUint32() / 4294967296;
+		},
+		uint32: nextUint32,
+		get state() {
+			return { s: [sh, sl, ih, il] };
+		},
+		set state(v) {
+			[sh, sl, ih, il] = v.s.map((x) => x >>> 0);
+			// The increment must stay odd
+			il = (il | 1) >>> 0;
+		},
+		/**
+		 * LCG jump-ahead in O(log n) (Brown, "Random Number Generation with Arbitrary Strides")
+		 * @param {number} n
+		 */
+		skip(n) {
+			let accMulH = 0,
+				accMulL = 1,
+				accAddH = 0,
+				accAddL = 0;
+			let curMulH = MUL_HI,
+				curMulL = MUL_LO,
+				curAddH = ih,
+				curAddL = il;
+
+			for (let delta = n; delta > 0; delta = Math.floor(delta / 2)) {
+				if (delta % 2 === 1) {
+					[accMulH, accMulL] = mul64(accMulH, accMulL, curMulH, curMulL);
+					const [ph, pl] = mul64(accAddH, accAddL, curMulH, curMulL);
+					[accAddH, accAddL] = add64(ph, pl, curAddH, curAddL);
+				}
+				const [mh, ml] = add64(curMulH, curMulL, 0, 1);
+				[curAddH, curAddL] = mul64(mh, ml, curAddH, curAddL);
+				[curMulH, curMulL] = mul64(curMulH, curMulL, curMulH, curMulL);
+			}
+
+			const [ph, pl] = mul64(accMulH, accMulL, sh, sl);
+			[sh, sl] = add64(ph, pl, accAddH, accAddL);
+		},
+	};
+}
+
+/**
+ * SplitMix64 PRNG
+ * 64-bit state taken from seed[0..1] (high word first); each step yields
+ * the high 32 bits of the 64-bit output
+ *
+ * @param {number[]} seed
+ * @returns {RNGGenerator}
+ */
+function splitmix64(seed) {
+	let sh = seed[0] >>> 0;
+	let sl = seed[1] >>> 0;
+
+	function nextUint32() {
+		// state += 0x9e3779b97f4a7c15
+		[sh, sl] = add64(sh, sl, 0x9e3779b9, 0x7f4a7c15);
+
+		let zh = sh;
+		let zl = sl;
+
+		// z = (z ^ (z >> 30)) * 0xbf58476d1ce4e5b9
+		[zh, zl] = mul64(zh ^ (zh >>> 30), (zl ^ ((zl >>> 30) | (zh << 2))) >>> 0, 0xbf58476d, 0x1ce4e5b9);
+		// z = (z ^ (z >> 27)) * 0x94d049bb133111eb
+		[zh, zl] = mul64(zh ^ (zh >>> 27), (zl ^ ((zl >>> 27) | (zh << 5))) >>> 0, 0x94d049bb, 0x133111eb);
+		// z ^ (z >> 31), high word only
+		return (zh ^ (zh >>> 31)) >>> 0;
+	}
+
 	return {
 		next() {
 			return nextUint32() / 4294967296;
 		},
 		uint32: nextUint32,
 		get state() {
-			return { s: s.slice() };
+			return { s: [sh, sl] };
 		},
 		set state(v) {
-			s = v.s.slice();
+			[sh, sl] = v.s.map((x) => x >>> 0);
+		},
+		/** @param {number} n */
+		skip(n) {
+			// The state is a Weyl sequence: state += n · 0x9e3779b97f4a7c15
+			const [dh, dl] = mul64(Math.floor(n / 4294967296) >>> 0, n >>> 0, 0x9e3779b9, 0x7f4a7c15);
+			[sh, sl] = add64(sh, sl, dh, dl);
 		},
 	};
 }
 
+/* -------------------------------------------------- */
+/* Algorithm registry                                 */
+/* -------------------------------------------------- */
+
+/** @type {Map<string, RNGFactory>} */
+const ALGORITHMS = new Map([
+	["mulberry", (seed) => mulberry32(seed[0])],
+	["xoshiro", xoshiro128],
+	["sfc32", sfc32],
+	["pcg32", pcg32],
+	["splitmix64", splitmix64],
+]);
+
+/**
+ * Register a PRNG algorithm so `SeedRandom` can use it by name.
+ *
+ * The factory receives 4× uint32 seed words and must return an `RNGGenerator`.
+ * Its `state.s` must be an array of uint32 values of fixed length.
+ *
+ * @param {string} name
+ * @param {RNGFactory} factory
+ */
+export function registerAlgorithm(name, factory) {
+	if (typeof name !== "string" || name === "") {
+		throw new Error("Algorithm name must be a non-empty string");
+	}
+	if (typeof factory !== "function") {
+		throw new Error(`Algorithm factory for "${name}" must be a function`);
+	}
+	if (ALGORITHMS.has(name)) {
+		throw new Error(`Algorithm already registered: ${name}`);
+	}
+	ALGORITHMS.set(name, factory);
+}
+
+/**
+ * Names of every registered algorithm
+ * @returns {string[]}
+ */
+export function listAlgorithms() {
+	return Array.from(ALGORITHMS.keys());
+}
+
+/**
+ * @param {RNGAlgorithm} algo
+ * @param {number[]} seed - 4× uint32
+ * @returns {RNGGenerator}
+ */
+function createGenerator(algo, seed) {
+	const factory = ALGORITHMS.get(algo);
+	if (!factory) {
+		throw new Error(`Unknown algorithm: ${algo}`);
+	}
+	return factory(seed.slice());
+}
+
+/**
+ * @param {unknown} v
+ * @returns {v is number[]}
+ */
+function isUint32Array(v) {
+	return Array.isArray(v) && v.every((x) => Number.isInteger(x) && x >= 0 && x <= 0xffffffff);
+}
+
+/**
+ * Accept either `(items, weights)` or `([[item, weight], ...])` and validate the weights.
+ *
+ * @template T
+ * @param {T[] | Array<[T, number]>} itemsOrChoices
+ * @param {number[] | undefined} weights
+ * @returns {{ items: T[], weights: number[], total: number }}
+ */
+function normalizeWeighted(itemsOrChoices, weights) {
+	/** @type {T[]} */
+	let items;
+	/** @type {number[]} */
+	let ws;
+	if (weights === undefined) {
+		const choices = /** @type {Array<[T, number]>} */ (itemsOrChoices);
+		items = choices.map(([v]) => v);
+		ws = choices.map(([, w]) => w);
+	} else {
+		items = /** @type {T[]} */ (itemsOrChoices);
+		ws = weights;
+		if (items.length !== ws.length) {
+			throw new Error(`Items and weights length mismatch: ${items.length} !== ${ws.length}`);
+		}
+	}
+
+	if (items.length === 0) {
+		throw new Error("Empty choices");
+	}
+
+	let total = 0;
+	for (const w of ws) {
+		if (w < 0) throw new Error("Negative weight");
+		if (!Number.isFinite(w)) throw new Error(`Invalid weight: ${w}`);
+		total += w;
+	}
+	if (total === 0) {
+		throw new Error("Total weight must be positive");
+	}
+
+	return { items, weights: ws, total };
+}
+
 /* -------------------------------------------------- */
 /* Main RNG class                                    */
 /* -------------------------------------------------- */
 
 export class SeedRandom {
-	#next;
-	#uint32;
-	#xoshiro;
+	/** @type {RNGGenerator} */
+	#generator;
+	/** @type {RNGAlgorithm} */
 	#algo;
+	/** @type {HashVersion} */
+	#hashVersion;
 	#seed;
+	/** @type {import("./noise.js").NoiseFunctions | null} */
+	#noise = null;
+	/**
+	 * Second Box–Muller value, returned by the next `normal()` call
+	 * @type {number | null}
+	 */
+	#spare = null;
 
 	/**
 	 * @param {Seed | null | undefined} [seed]
-	 * @param {"mulberry" | "xoshiro"} [algo="xoshiro"]
+	 * @param {RNGAlgorithm} [algo="xoshiro"]
+	 * @param {SeedRandomOptions} [options]
 	 */
-	constructor(seed, algo = "xoshiro") {
+	constructor(seed, algo = "xoshiro", options = {}) {
 		this.#algo = algo;
+		this.#hashVersion = options.hashVersion ?? DEFAULT_HASH_VERSION;
+		if (!(this.#hashVersion in SEED_HASHES)) {
+			throw new Error(`Unknown hash version: ${this.#hashVersion}`);
+		}
 
-		this.#seed =
-			seed == null ? getEntropySeed() : typeof seed === "string" ? hashString(seed) : hashString(String(seed));
+		this.#seed = seed == null ? getEntropySeed() : hashSeed(seed, this.#hashVersion);
 
-		if (algo === "mulberry") {
-			this.#next = mulberry32(this.#seed[0]);
-			this.#uint32 = () => (this.#next() * 4294967296) >>> 0;
-			this.#xoshiro = null;
-		} else {
-			this.#xoshiro = xoshiro128(this.#seed);
-			this.#next = this.#xoshiro.next;
-			this.#uint32 = this.#xoshiro.uint32;
-		}
+		this.#generator = createGenerator(this.#algo, this.#seed);
 	}
 
 	/* ---------------------------------- */
@@ -192,12 +644,12 @@ export class SeedRandom {
 
 	/** @returns {number} float in [0, 1) */
 	float() {
-		return this.#next();
+		return this.#generator.next();
 	}
 
 	/** @returns {number} uint32 */
 	uint32() {
-		return this.#uint32();
+		return this.#generator.uint32();
 	}
 
 	/**
@@ -282,48 +734,144 @@ export class SeedRandom {
 	}
 
 	/**
+	 * Pick one item by weight (linear scan).
+	 * For many draws from the same weights, use `createWeightedSampler`.
+	 *
 	 * @template T
-	 * @param {Array<[T, number]>} choices
+	 * @overload
+	 * @param {Array<[T, number]>} choices - `[[item, weight], ...]`
 	 * @returns {T}
-	 *
-	 * @todo support both of the following
-	 * - `weighted(items, weights) { / * separate arrays * / }`
-	 * - `weighted([[item, weight], ...]) { / * tuples * / }`
 	 */
-	weighted(choices) {
-		if (choices.length === 0) {
-			throw new Error("Empty choices");
+	/**
+	 * @template T
+	 * @overload
+	 * @param {T[]} items
+	 * @param {number[]} weights - Parallel to `items`
+	 * @returns {T}
+	 */
+	/**
+	 * @template T
+	 * @param {T[] | Array<[T, number]>} itemsOrChoices
+	 * @param {number[]} [weights]
+	 * @returns {T}
+	 */
+	weighted(itemsOrChoices, weights) {
+		const { items, weights: ws, total } = normalizeWeighted(itemsOrChoices, weights);
+
+		let r = this.float() * total;
+		for (let i = 0; i < items.length; i++) {
+			r -= ws[i];
+			if (r < 0) return items[i];
 		}
 
-		let total = 0;
-		for (const [, w] of choices) {
-			if (w < 0) throw new Error("Negative weight");
-			total += w;
+		return items[items.length - 1];
+	}
+
+	/**
+	 * Precompute an alias table (Vose) for O(1) weighted draws.
+	 * The returned function draws from this instance's stream.
+	 *
+	 * @template T
+	 * @overload
+	 * @param {Array<[T, number]>} choices - `[[item, weight], ...]`
+	 * @returns {() => T}
+	 */
+	/**
+	 * @template T
+	 * @overload
+	 * @param {T[]} items
+	 * @param {number[]} weights - Parallel to `items`
+	 * @returns {() => T}
+	 */
+	/**
+	 * @template T
+	 * @param {T[] | Array<[T, number]>} itemsOrChoices
+	 * @param {number[]} [weights]
+	 * @returns {() => T}
+	 */
+	createWeightedSampler(itemsOrChoices, weights) {
+		const { items, weights: ws, total } = normalizeWeighted(itemsOrChoices, weights);
+		const n = items.length;
+
+		const prob = new Float64Array(n);
+		const alias = new Uint32Array(n);
+		const scaled = ws.map((w) => (w * n) / total);
+
+		/** @type {number[]} */
+		const small = [];
+		/** @type {number[]} */
+		const large = [];
+		scaled.forEach((p, i) => (p < 1 ? small : large).push(i));
+
+		while (small.length > 0 && large.length > 0) {
+			const s = /** @type {number} */ (small.pop());
+			const l = /** @type {number} */ (large.pop());
+			prob[s] = scaled[s];
+			alias[s] = l;
+			scaled[l] += scaled[s] - 1;
+			(scaled[l] < 1 ? small : large).push(l);
 		}
-		if (total === 0) {
-			throw new Error("Total weight must be positive");
+		// Leftovers are 1 up to rounding error
+		for (const i of large) prob[i] = 1;
+		for (const i of small) prob[i] = 1;
+
+		return () => {
+			// One uniform picks the column and the coin flip within it
+			const u = this.float() * n;
+			const i = Math.floor(u);
+			return u - i < prob[i] ? items[i] : items[alias[i]];
+		};
+	}
+
+	/**
+	 * Draw `n` distinct items by weight, without replacement (Efraimidis–Spirakis).
+	 * Items are returned in draw order; zero-weight items are never drawn.
+	 *
+	 * @template T
+	 * @param {T[]} items
+	 * @param {number[]} weights - Parallel to `items`
+	 * @param {number} n
+	 * @returns {T[]}
+	 */
+	weightedSample(items, weights, n) {
+		normalizeWeighted(items, weights);
+
+		const eligible = weights.filter((w) => w > 0).length;
+		if (!Number.isInteger(n) || n < 0 || n > eligible) {
+			throw new Error(`Invalid sample size: ${n} (${eligible} items with positive weight)`);
 		}
 
-		let r = this.float() * total;
-		for (const [v, w] of choices) {
-			r -= w;
-			if (r < 0) return v;
+		// Key = log(U) / w; the n largest keys form the sample
+		const keyed = [];
+		for (let i = 0; i < items.length; i++) {
+			const u = 1 - this.float();
+			if (weights[i] > 0) keyed.push({ item: items[i], key: Math.log(u) / weights[i] });
 		}
+		keyed.sort((a, b) => b.key - a.key);
 
-		return choices[choices.length - 1][0];
+		return keyed.slice(0, n).map(({ item }) => item);
 	}
 
 	/**
 	 * Gaussian distribution (Box–Muller)
+	 * Each pair of uniforms yields two values; the second is cached for the next call.
 	 * @param {number} [mean=0]
 	 * @param {number} [std=1]
 	 */
 	normal(mean = 0, std = 1) {
+		if (this.#spare !== null) {
+			const z = this.#spare;
+			this.#spare = null;
+			return mean + std * z;
+		}
+
 		let u = 0,
 			v = 0;
 		while (u === 0) u = this.float();
 		while (v === 0) v = this.float();
-		return mean + std * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+		const r = Math.sqrt(-2 * Math.log(u));
+		this.#spare = r * Math.sin(2 * Math.PI * v);
+		return mean + std * r * Math.cos(2 * Math.PI * v);
 	}
 
 	/**
@@ -404,6 +952,429 @@ export class SeedRandom {
 	dice(count, sides) {
 		return Array.from({ length: count }, () => this.int(1, sides));
 	}
+
+	/* ---------------------------------- */
+	/* Distributions                      */
+	/* ---------------------------------- */
+
+	/**
+	 * Gamma distribution (Marsaglia–Tsang)
+	 * @param {number} shape - k > 0
+	 * @param {number} [scale=1] - θ > 0
+	 * @returns {number}
+	 */
+	gamma(shape, scale = 1) {
+		if (!(shape > 0) || !(scale > 0)) {
+			throw new Error(`Invalid gamma parameters: shape=${shape}, scale=${scale}`);
+		}
+
+		if (shape < 1) {
+			// Boost: Gamma(k) = Gamma(k + 1) · U^(1/k)
+			const u = 1 - this.float();
+			return this.gamma(shape + 1, scale) * Math.pow(u, 1 / shape);
+		}
+
+		const d = shape - 1 / 3;
+		const c = 1 / Math.sqrt(9 * d);
+		for (;;) {
+			let x, v;
+			do {
+				x = this.normal();
+				v = 1 + c * x;
+			} while (v <= 0);
+			v = v * v * v;
+
+			const u = this.float();
+			if (u < 1 - 0.0331 * x ** 4 || Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) {
+				return d * v * scale;
+			}
+		}
+	}
+
+	/**
+	 * Beta distribution, value in [0, 1]
+	 * @param {number} alpha - > 0
+	 * @param {number} beta - > 0
+	 * @returns {number}
+	 */
+	beta(alpha, beta) {
+		const x = this.gamma(alpha);
+		const y = this.gamma(beta);
+		return x / (x + y);
+	}
+
+	/**
+	 * Poisson distribution (multiplication method, gamma splitting for large λ)
+	 * @param {number} lambda - Mean, >= 0
+	 * @returns {number} non-negative integer
+	 */
+	poisson(lambda) {
+		if (!(lambda >= 0) || !Number.isFinite(lambda)) {
+			throw new Error(`Invalid Poisson mean: ${lambda}`);
+		}
+
+		let k = 0;
+		let mean = lambda;
+		// Knuth, TAOCP 3.4.1: peel off large chunks so the loop below stays short
+		while (mean > 30) {
+			const m = Math.floor(mean * (7 / 8));
+			const x = this.gamma(m);
+			if (x >= mean) {
+				return k + this.binomial(m - 1, mean / x);
+			}
+			k += m;
+			mean -= x;
+		}
+
+		const limit = Math.exp(-mean);
+		let p = this.float();
+		while (p > limit) {
+			k++;
+			p *= this.float();
+		}
+		return k;
+	}
+
+	/**
+	 * Binomial distribution: successes in `n` trials of probability `p`
+	 * @param {number} n - Non-negative integer
+	 * @param {number} p - In [0, 1]
+	 * @returns {number} integer in [0, n]
+	 */
+	binomial(n, p) {
+		if (!Number.isInteger(n) || n < 0) {
+			throw new Error(`Invalid trial count: ${n}`);
+		}
+		if (!(p >= 0 && p <= 1)) {
+			throw new Error("Probability must be in [0, 1]");
+		}
+
+		let k = 0;
+		let trials = n;
+		let prob = p;
+		// Knuth, TAOCP 3.4.1: split on a beta-distributed order statistic
+		while (trials > 40) {
+			const a = 1 + Math.floor(trials / 2);
+			const b = trials - a + 1;
+			const x = this.beta(a, b);
+			if (x >= prob) {
+				trials = a - 1;
+				prob /= x;
+			} else {
+				k += a;
+				trials = b - 1;
+				prob = (prob - x) / (1 - x);
+			}
+		}
+
+		for (let i = 0; i < trials; i++) {
+			if (this.float() < prob) k++;
+		}
+		return k;
+	}
+
+	/**
+	 * Log-normal distribution: exp of a Gaussian
+	 * @param {number} [mu=0] - Mean of the underlying Gaussian
+	 * @param {number} [sigma=1] - Std of the underlying Gaussian
+	 * @returns {number}
+	 */
+	logNormal(mu = 0, sigma = 1) {
+		return Math.exp(this.normal(mu, sigma));
+	}
+
+	/**
+	 * Triangular distribution
+	 * @param {number} [min=0]
+	 * @param {number} [max=1]
+	 * @param {number} [mode=(min + max) / 2]
+	 * @returns {number}
+	 */
+	triangular(min = 0, max = 1, mode = (min + max) / 2) {
+		if (!(min < max) || mode < min || mode > max) {
+			throw new Error(`Invalid triangular parameters: min=${min}, max=${max}, mode=${mode}`);
+		}
+
+		const u = this.float();
+		const range = max - min;
+		if (u < (mode - min) / range) {
+			return min + Math.sqrt(u * range * (mode - min));
+		}
+		return max - Math.sqrt((1 - u) * range * (max - mode));
+	}
+
+	/**
+	 * Cauchy distribution (heavy-tailed, no mean)
+	 * @param {number} [location=0]
+	 * @param {number} [scale=1]
+	 * @returns {number}
+	 */
+	cauchy(location = 0, scale = 1) {
+		return location + scale * Math.tan(Math.PI * (this.float() - 0.5));
+	}
+
+	/**
+	 * Pareto distribution, value in [scale, ∞)
+	 * @param {number} [scale=1] - Minimum value xₘ > 0
+	 * @param {number} [shape=1] - α > 0, larger means thinner tail
+	 * @returns {number}
+	 */
+	pareto(scale = 1, shape = 1) {
+		if (!(scale > 0) || !(shape > 0)) {
+			throw new Error(`Invalid Pareto parameters: scale=${scale}, shape=${shape}`);
+		}
+		return scale / Math.pow(1 - this.float(), 1 / shape);
+	}
+
+	/**
+	 * Gaussian restricted to [min, max] (exact, rejection based)
+	 * @param {number} [mean=0]
+	 * @param {number} [std=1]
+	 * @param {number} [min=-Infinity]
+	 * @param {number} [max=Infinity]
+	 * @returns {number}
+	 */
+	truncatedNormal(mean = 0, std = 1, min = -Infinity, max = Infinity) {
+		if (!(min < max)) {
+			throw new Error(`Invalid range: ${min} >= ${max}`);
+		}
+
+		const a = (min - mean) / std;
+		const b = (max - mean) / std;
+
+		let z;
+		if (a >= 0) {
+			z = this.#normalTail(a, b);
+		} else if (b <= 0) {
+			z = -this.#normalTail(-b, -a);
+		} else if (b - a > 2.5) {
+			do {
+				z = this.normal();
+			} while (z < a || z > b);
+		} else {
+			// Narrow interval around the peak: uniform proposal
+			do {
+				z = this.between(a, b);
+			} while (this.float() >= Math.exp(-0.5 * z * z));
+		}
+
+		return mean + std * z;
+	}
+
+	/**
+	 * Standard Gaussian restricted to [a, b] with 0 <= a < b (Robert, 1995)
+	 * @param {number} a
+	 * @param {number} b
+	 * @returns {number}
+	 */
+	#normalTail(a, b) {
+		if ((b - a) * (a + b) < 2) {
+			let z;
+			do {
+				z = this.between(a, b);
+			} while (this.float() >= Math.exp(0.5 * (a * a - z * z)));
+			return z;
+		}
+
+		const alpha = 0.5 * (a + Math.sqrt(a * a + 4));
+		for (;;) {
+			const z = a - Math.log(1 - this.float()) / alpha;
+			if (z <= b && this.float() < Math.exp(-0.5 * (z - alpha) ** 2)) {
+				return z;
+			}
+		}
+	}
+
+	/* ---------------------------------- */
+	/* Geometric sampling                 */
+	/* ---------------------------------- */
+
+	/**
+	 * Uniform point inside a disc centered at the origin
+	 * @param {number} [radius=1]
+	 * @returns {[x: number, y: number]}
+	 */
+	insideCircle(radius = 1) {
+		const r = radius * Math.sqrt(this.float());
+		const theta = 2 * Math.PI * this.float();
+		return [r * Math.cos(theta), r * Math.sin(theta)];
+	}
+
+	/**
+	 * Uniform point on a circle centered at the origin
+	 * @param {number} [radius=1]
+	 * @returns {[x: number, y: number]}
+	 */
+	onCircle(radius = 1) {
+		const theta = 2 * Math.PI * this.float();
+		return [radius * Math.cos(theta), radius * Math.sin(theta)];
+	}
+
+	/**
+	 * Uniform point inside a ball centered at the origin
+	 * @param {number} [radius=1]
+	 * @returns {[x: number, y: number, z: number]}
+	 */
+	insideSphere(radius = 1) {
+		const r = radius * Math.cbrt(this.float());
+		return this.onSphere(r);
+	}
+
+	/**
+	 * Uniform point on a sphere centered at the origin
+	 * @param {number} [radius=1]
+	 * @returns {[x: number, y: number, z: number]}
+	 */
+	onSphere(radius = 1) {
+		const z = 2 * this.float() - 1;
+		const theta = 2 * Math.PI * this.float();
+		const r = Math.sqrt(1 - z * z);
+		return [radius * r * Math.cos(theta), radius * r * Math.sin(theta), radius * z];
+	}
+
+	/**
+	 * Uniform point inside an axis-aligned box of any dimension
+	 * @param {number[]} [min=[-1, -1, -1]]
+	 * @param {number[]} [max=[1, 1, 1]]
+	 * @returns {number[]}
+	 */
+	insideBox(min = [-1, -1, -1], max = [1, 1, 1]) {
+		if (min.length !== max.length) {
+			throw new Error("Box corners must have matching dimensions");
+		}
+		return min.map((v, i) => this.between(v, max[i]));
+	}
+
+	/**
+	 * Uniform point on the surface of a triangle (2D or 3D vertices)
+	 * @param {number[]} a
+	 * @param {number[]} b
+	 * @param {number[]} c
+	 * @returns {number[]}
+	 */
+	onTriangle(a, b, c) {
+		if (a.length !== b.length || a.length !== c.length) {
+			throw new Error("Triangle vertices must have matching dimensions");
+		}
+
+		let u = this.float();
+		let v = this.float();
+		// Fold the far half of the parallelogram back onto the triangle
+		if (u + v > 1) {
+			u = 1 - u;
+			v = 1 - v;
+		}
+		return a.map((p, i) => p + u * (b[i] - p) + v * (c[i] - p));
+	}
+
+	/**
+	 * Poisson-disc distributed points in 2D or 3D bounds (Bridson)
+	 * @param {import("./poisson-disc.js").PoissonDiscOptions} options
+	 * @returns {number[][]}
+	 */
+	poissonDisc(options) {
+		return poissonDisc(() => this.float(), options);
+	}
+
+	/* ---------------------------------- */
+	/* Noise                              */
+	/* ---------------------------------- */
+
+	/**
+	 * Noise tables are built lazily from the seed, not from the main stream,
+	 * so sampling noise never shifts the values returned by other methods.
+	 * @returns {import("./noise.js").NoiseFunctions}
+	 */
+	#getNoise() {
+		if (!this.#noise) {
+			const noiseRng = xoshiro128(hashSeed(`noise:${this.#seed.join(",")}`, 1));
+			this.#noise = createNoise(noiseRng.next);
+		}
+		return this.#noise;
+	}
+
+	/**
+	 * 1D gradient noise, value in [-amplitude, amplitude]
+	 * @param {number} x
+	 * @param {number} [frequency=1]
+	 * @param {number} [amplitude=1]
+	 */
+	noise1D(x, frequency = 1, amplitude = 1) {
+		return amplitude * this.#getNoise().noise1D(x * frequency);
+	}
+
+	/**
+	 * 2D simplex noise, value in [-amplitude, amplitude]
+	 * @param {number} x
+	 * @param {number} y
+	 * @param {number} [frequency=1]
+	 * @param {number} [amplitude=1]
+	 */
+	noise2D(x, y, frequency = 1, amplitude = 1) {
+		return amplitude * this.#getNoise().noise2D(x * frequency, y * frequency);
+	}
+
+	/**
+	 * 3D simplex noise, value in [-amplitude, amplitude]
+	 * @param {number} x
+	 * @param {number} y
+	 * @param {number} z
+	 * @param {number} [frequency=1]
+	 * @param {number} [amplitude=1]
+	 */
+	noise3D(x, y, z, frequency = 1, amplitude = 1) {
+		return amplitude * this.#getNoise().noise3D(x * frequency, y * frequency, z * frequency);
+	}
+
+	/**
+	 * 4D simplex noise, value in [-amplitude, amplitude]
+	 * @param {number} x
+	 * @param {number} y
+	 * @param {number} z
+	 * @param {number} w
+	 * @param {number} [frequency=1]
+	 * @param {number} [amplitude=1]
+	 */
+	noise4D(x, y, z, w, frequency = 1, amplitude = 1) {
+		return amplitude * this.#getNoise().noise4D(x * frequency, y * frequency, z * frequency, w * frequency);
+	}
+
+	/**
+	 * Fractional Brownian motion over 1D–4D noise
+	 * @param {number[]} point - 1 to 4 coordinates
+	 * @param {import("./noise.js").FractalOptions} [options]
+	 */
+	fbm(point, options) {
+		return fbm(this.#getNoise(), point, options);
+	}
+
+	/**
+	 * Ridged multifractal noise, value in [0, amplitude]
+	 * @param {number[]} point - 1 to 4 coordinates
+	 * @param {import("./noise.js").FractalOptions} [options]
+	 */
+	ridged(point, options) {
+		return ridged(this.#getNoise(), point, options);
+	}
+
+	/**
+	 * Turbulence noise, value in [0, amplitude]
+	 * @param {number[]} point - 1 to 4 coordinates
+	 * @param {import("./noise.js").FractalOptions} [options]
+	 */
+	turbulence(point, options) {
+		return turbulence(this.#getNoise(), point, options);
+	}
+
+	/**
+	 * Domain-warped fBm
+	 * @param {number[]} point - 1 to 4 coordinates
+	 * @param {import("./noise.js").DomainWarpOptions} [options]
+	 */
+	domainWarp(point, options) {
+		return domainWarp(this.#getNoise(), point, options);
+	}
+
 	/* ---------------------------------- */
 	/* State management                   */
 	/* ---------------------------------- */
@@ -413,57 +1384,207 @@ export class SeedRandom {
 	 * @returns {number[]}
 	 */
 	getSeed() {
-		return this.#seed;
+		return this.#seed.slice();
+	}
+
+	/**
+	 * Hash version used for string/number seeds
+	 * @returns {HashVersion}
+	 */
+	getHashVersion() {
+		return this.#hashVersion;
 	}
 
 	/**
 	 * Set the seed used to initialize this RNG
-	 * @param {number[]} seed
-	 * @param {"mulberry" | "xoshiro"} [algo]
+	 * @param {Seed | null | undefined} seed
+	 * @param {RNGAlgorithm} [algo]
 	 */
 	setSeed(seed, algo) {
 		this.#algo = algo ?? this.#algo;
+		this.#noise = null;
+		this.#spare = null;
 
-		this.#seed =
-			seed == null ? getEntropySeed() : typeof seed === "string" ? hashString(seed) : hashString(String(seed));
+		this.#seed = seed == null ? getEntropySeed() : hashSeed(seed, this.#hashVersion);
 
-		if (algo === "mulberry") {
-			this.#next = mulberry32(this.#seed[0]);
-			this.#uint32 = () => (this.#next() * 4294967296) >>> 0;
-			this.#xoshiro = null;
-		} else {
-			this.#xoshiro = xoshiro128(this.#seed);
-			this.#next = this.#xoshiro.next;
-			this.#uint32 = this.#xoshiro.uint32;
-		}
+		this.#generator = createGenerator(this.#algo, this.#seed);
 	}
 
 	/**
-	 * Algorithm-specific state snapshot
-	 * @returns {RNGState | null}
+	 * Algorithm-specific state (a copy, safe to keep)
+	 * @returns {RNGState}
 	 */
 	getState() {
-		return this.#xoshiro ? this.#xoshiro.state : null;
+		return this.#generator.state;
 	}
 
 	/**
-	 * Restore previously saved state
+	 * Restore previously saved state of the current algorithm
 	 * @param {RNGState} state
 	 */
 	setState(state) {
-		if (!this.#xoshiro) {
-			throw new Error("State management requires xoshiro algorithm");
+		const size = this.#generator.state.s.length;
+		if (!state || !isUint32Array(state.s) || state.s.length !== size) {
+			throw new Error(`Invalid ${this.#algo} state: expected ${size} uint32 values`);
 		}
-		this.#xoshiro.state = state;
+		this.#generator.state = state;
+		this.#spare = null;
+	}
+
+	/**
+	 * Capture algorithm, seed and internal state.
+	 * The result is plain data and survives `JSON.stringify`/`JSON.parse`.
+	 * @returns {RNGSnapshot}
+	 */
+	snapshot() {
+		return {
+			version: SNAPSHOT_VERSION,
+			algo: this.#algo,
+			seed: this.#seed.slice(),
+			state: this.#generator.state,
+			hashVersion: this.#hashVersion,
+			spare: this.#spare,
+		};
 	}
 
 	/**
-	 * Fork a deterministic child RNG
+	 * Resume exactly where a snapshot was taken
+	 * @param {RNGSnapshot} snapshot
+	 */
+	restore(snapshot) {
+		if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) {
+			throw new Error(`Unsupported snapshot version: ${snapshot?.version}`);
+		}
+		if (!ALGORITHMS.has(snapshot.algo)) {
+			throw new Error(`Unknown algorithm in snapshot: ${snapshot.algo}`);
+		}
+		if (!isUint32Array(snapshot.seed) || snapshot.seed.length !== 4) {
+			throw new Error("Invalid snapshot seed: expected 4 uint32 values");
+		}
+		const hashVersion = snapshot.hashVersion ?? DEFAULT_HASH_VERSION;
+		if (!(hashVersion in SEED_HASHES)) {
+			throw new Error(`Unknown hash version in snapshot: ${hashVersion}`);
+		}
+
+		const algo = snapshot.algo;
+		const generator = createGenerator(algo, snapshot.seed);
+		const size = generator.state.s.length;
+		if (!snapshot.state || !isUint32Array(snapshot.state.s) || snapshot.state.s.length !== size) {
+			throw new Error(`Invalid ${algo} state: expected ${size} uint32 values`);
+		}
+		generator.state = snapshot.state;
+
+		const spare = snapshot.spare ?? null;
+		if (spare !== null && !Number.isFinite(spare)) {
+			throw new Error("Invalid snapshot spare: expected a finite number or null");
+		}
+
+		this.#algo = algo;
+		this.#hashVersion = hashVersion;
+		this.#seed = snapshot.seed.slice();
+		this.#generator = generator;
+		this.#noise = null;
+		this.#spare = spare;
+	}
+
+	/**
+	 * Create a new instance from a snapshot
+	 * @param {RNGSnapshot} snapshot
+	 * @returns {SeedRandom}
+	 */
+	static fromSnapshot(snapshot) {
+		const rng = new SeedRandom(0, snapshot.algo);
+		rng.restore(snapshot);
+		return rng;
+	}
+
+	/* ---------------------------------- */
+	/* Stream control                     */
+	/* ---------------------------------- */
+
+	/**
+	 * Advance the stream as if `uint32()` had been called `n` times.
+	 * O(1) or O(log n) for mulberry, pcg32 and splitmix64, O(n) otherwise.
+	 * @param {number} n - Non-negative safe integer
+	 */
+	skip(n) {
+		if (!Number.isSafeInteger(n) || n < 0) {
+			throw new Error(`Invalid skip count: ${n}`);
+		}
+
+		if (this.#generator.skip) {
+			this.#generator.skip(n);
+		} else {
+			for (let i = 0; i < n; i++) this.#generator.uint32();
+		}
+		this.#spare = null;
+	}
+
+	/**
+	 * Jump ahead by a huge, fixed distance (2^64 steps for xoshiro).
+	 * Jumping a copy k times yields k non-overlapping streams:
+	 *
+	 * @example
+	 * const streams = [];
+	 * const base = SeedRandom.fromSnapshot(rng.snapshot());
+	 * for (let i = 0; i < meshCount; i++) {
+	 *   streams.push(SeedRandom.fromSnapshot(base.snapshot()));
+	 *   base.jump();
+	 * }
+	 */
+	jump() {
+		if (!this.#generator.jump) {
+			throw new Error(`Algorithm "${this.#algo}" does not support jump()`);
+		}
+		this.#generator.jump();
+		this.#spare = null;
+	}
+
+	/**
+	 * Jump ahead further than `jump` (2^96 steps for xoshiro),
+	 * e.g. to separate groups of `jump`-ed streams.
+	 */
+	longJump() {
+		if (!this.#generator.longJump) {
+			throw new Error(`Algorithm "${this.#algo}" does not support longJump()`);
+		}
+		this.#generator.longJump();
+		this.#spare = null;
+	}
+
+	/**
+	 * Fork a deterministic child RNG.
+	 * Consumes one value from this stream; use `derive` to leave it untouched.
 	 * @returns {SeedRandom}
 	 */
 	fork() {
 		return new SeedRandom(this.uint32(), this.#algo);
 	}
+
+	/**
+	 * Derive a labelled child RNG from this instance's seed, without advancing this stream.
+	 *
+	 * The child depends only on the seed words, algorithm and labels, so adding or
+	 * removing other `derive`/`float` calls never changes it. Children can derive
+	 * further: `rng.derive("layout").derive("row", 3)`.
+	 *
+	 * @example
+	 * const paletteRng = rng.derive("palette");
+	 * const meshRng = rng.derive("mesh", i);
+	 *
+	 * @param {string | number} label
+	 * @param {...(string | number)} path - Extra labels, e.g. a loop index
+	 * @returns {SeedRandom}
+	 */
+	derive(label, ...path) {
+		// JSON keeps ("a/b") and ("a", "b") apart; hash version 2 is frozen and avalanches well
+		const seed = hashSeed(JSON.stringify([this.#seed, label, ...path]), 2);
+
+		const child = new SeedRandom(0, this.#algo, { hashVersion: this.#hashVersion });
+		child.#seed = seed;
+		child.#generator = createGenerator(this.#algo, seed);
+		return child;
+	}
 }
 
 /* -------------------------------------------------- */
@@ -472,10 +1593,11 @@ export class SeedRandom {
 
 /**
  * @param {Seed | null | undefined} [seed]
- * @param {"mulberry" | "xoshiro"} [algo]
+ * @param {RNGAlgorithm} [algo]
+ * @param {SeedRandomOptions} [options]
  */
-export function createRandom(seed, algo) {
-	return new SeedRandom(seed, algo);
+export function createRandom(seed, algo, options) {
+	return new SeedRandom(seed, algo, options);
 }
 
 export default SeedRandom;
@@ -0,0 +1,408 @@
+/**
+ * @file Seeded color helpers
+ *
+ * Palette picking, color jitter and harmonies driven by a `SeedRandom` stream.
+ * Every helper returns `#rrggbb` strings, which `new THREE.Color(hex)` and
+ * canvas `fillStyle` both accept.
+ *
+ * Perceptual work (jitter, harmonies) happens in OKLCH so lightness stays even
+ * across hues; results are clipped back into the sRGB gamut by reducing chroma.
+ */
+
+/* -------------------------------------------------- */
+/* Types (TypeScript via JSDoc)                       */
+/* -------------------------------------------------- */
+
+/**
+ * @typedef {import("./seed-random.js").SeedRandom} SeedRandom
+ */
+
+/**
+ * sRGB channels in [0, 1]
+ * @typedef {[r: number, g: number, b: number]} RGB
+ */
+
+/**
+ * OKLCH: lightness in [0, 1], chroma >= 0 (~0.37 max in sRGB), hue in degrees
+ * @typedef {[l: number, c: number, h: number]} OKLCH
+ */
+
+/**
+ * HSL: hue in degrees, saturation and lightness in [0, 1]
+ * @typedef {[h: number, s: number, l: number]} HSL
+ */
+
+/**
+ * @typedef {Object} PickPaletteOptions
+ * @property {number} [minSize=1] - Fewest colors to return
+ * @property {number} [maxSize=Infinity] - Most colors to return
+ * @property {number} [minContrast=1] - Minimum WCAG contrast ratio between any two returned colors
+ * @property {number} [attempts=50] - Palettes tried before giving up
+ */
+
+/**
+ * @typedef {Object} JitterOptions
+ * @property {"oklch" | "hsl"} [space="oklch"]
+ * @property {number} [lightness=0.05] - Max lightness offset (0..1 scale)
+ * @property {number} [chroma=0.02] - Max chroma offset (OKLCH) or saturation offset (HSL, 0..1 scale)
+ * @property {number} [hue=8] - Max hue offset in degrees
+ */
+
+/**
+ * @typedef {"analogous" | "complementary" | "split-complementary" | "triadic" | "tetradic"} HarmonyType
+ */
+
+/**
+ * @typedef {Object} HarmonyOptions
+ * @property {number} [spread=30] - Hue step in degrees for analogous and split-complementary
+ * @property {number} [count] - Number of colors (analogous only, default 3)
+ * @property {number} [jitter=0] - Max random hue offset in degrees applied to each derived color
+ */
+
+/**
+ * @typedef {Object} BackgroundOptions
+ * @property {number} [minContrast=3] - Minimum contrast between background and every remaining color
+ * @property {string[]} [fallbacks=["#f2f2f2", "#111111"]] - Neutral backgrounds tried when no palette color works
+ */
+
+/* -------------------------------------------------- */
+/* Conversions                                        */
+/* -------------------------------------------------- */
+
+/**
+ * @param {number} v
+ * @param {number} [min=0]
+ * @param {number} [max=1]
+ */
+const clamp = (v, min = 0, max = 1) => Math.min(max, Math.max(min, v));
+
+/** @param {number} h */
+const wrapHue = (h) => ((h % 360) + 360) % 360;
+
+/**
+ * Parse `#rgb` or `#rrggbb`
+ * @param {string} hex
+ * @returns {RGB}
+ */
+export function hexToRgb(hex) {
+	const m = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(hex.trim());
+	if (!m) {
+		throw new Error(`Invalid hex color: ${hex}`);
+	}
+	const digits = m[1].length === 3 ? m[1].replace(/./g, "$&$&") : m[1];
+	const n = parseInt(digits, 16);
+	return [((n >> 16) & 0xff) / 255, ((n >> 8) & 0xff) / 255, (n & 0xff) / 255];
+}
+
+/**
+ * @param {RGB} rgb - Clamped to [0, 1]
+ * @returns {string} `#rrggbb`
+ */
+export function rgbToHex(rgb) {
+	const [r, g, b] = rgb.map((c) => Math.round(clamp(c) * 255));
+	return "#" + ((1 << 24) | (r << 16) | (g << 8) | b).toString(16).slice(1);
+}
+
+/** @param {number} c */
+const srgbToLinear = (c) => (c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4);
+
+/** @param {number} c */
+const linearToSrgb = (c) => (c <= 0.0031308 ? 12.92 * c : 1.055 * c ** (1 / 2.4) - 0.055);
+
+/**
+ * sRGB → OKLCH (Björn Ottosson's OKLab)
+ * @param {RGB} rgb
+ * @returns {OKLCH}
+ */
+export function rgbToOklch(rgb) {
+	const [r, g, b] = rgb.map(srgbToLinear);
+
+	const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+	const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+	const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+
+	const L = 0.2104542553 * l + 0.793617785 * m - 0.0040720468 * s;
+	const A = 1.9779984951 * l - 2.428592205 * m + 0.4505937099 * s;
+	const B = 0.0259040371 * l + 0.7827717662 * m - 0.808675766 * s;
+
+	return [L, Math.hypot(A, B), wrapHue((Math.atan2(B, A) * 180) / Math.PI)];
+}
+
+/**
+ * OKLCH → unclamped sRGB (channels may fall outside [0, 1])
+ * @param {OKLCH} lch
+ * @returns {RGB}
+ */
+function oklchToRgbUnclamped([L, C, H]) {
+	const h = (H * Math.PI) / 180;
+	const A = C * Math.cos(h);
+	const B = C * Math.sin(h);
+
+	const l = (L + 0.3963377774 * A + 0.2158037573 * B) ** 3;
+	const m = (L - 0.1055613458 * A - 0.0638541728 * B) ** 3;
+	const s = (L - 0.0894841775 * A - 1.291485548 * B) ** 3;
+
+	return /** @type {RGB} */ (
+		[
+			4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+			-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+			-0.0041960863 * l - 0.7034186147 * m + 1.707614701 * s,
+		].map(linearToSrgb)
+	);
+}
+
+/**
+ * OKLCH → sRGB, reducing chroma until the color fits the sRGB gamut
+ * @param {OKLCH} lch
+ * @returns {RGB}
+ */
+export function oklchToRgb([L, C, H]) {
+	const l = clamp(L);
+	/** @param {RGB} rgb */
+	const inGamut = (rgb) => rgb.every((c) => c >= -1e-4 && c <= 1 + 1e-4);
+
+	let rgb = oklchToRgbUnclamped([l, C, H]);
+	if (inGamut(rgb)) return rgb;
+
+	let lo = 0;
+	let hi = Math.max(0, C);
+	for (let i = 0; i < 20; i++) {
+		const mid = (lo + hi) / 2;
+		const candidate = oklchToRgbUnclamped([l, mid, H]);
+		if (inGamut(candidate)) {
+			lo = mid;
+			rgb = candidate;
+		} else {
+			hi = mid;
+		}
+	}
+	return inGamut(rgb) ? rgb : oklchToRgbUnclamped([l, lo, H]);
+}
+
+/**
+ * @param {RGB} rgb
+ * @returns {HSL}
+ */
+export function rgbToHsl([r, g, b]) {
+	const max = Math.max(r, g, b);
+	const min = Math.min(r, g, b);
+	const l = (max + min) / 2;
+	const d = max - min;
+	if (d === 0) return [0, 0, l];
+
+	const s = d / (1 - Math.abs(2 * l - 1));
+	let h;
+	if (max === r) h = ((g - b) / d) % 6;
+	else if (max === g) h = (b - r) / d + 2;
+	else h = (r - g) / d + 4;
+
+	return [wrapHue(h * 60), s, l];
+}
+
+/**
+ * @param {HSL} hsl
+ * @returns {RGB}
+ */
+export function hslToRgb([h, s, l]) {
+	const c = (1 - Math.abs(2 * l - 1)) * s;
+	const hp = wrapHue(h) / 60;
+	const x = c * (1 - Math.abs((hp % 2) - 1));
+	const m = l - c / 2;
+
+	/** @type {RGB} */
+	let rgb;
+	if (hp < 1) rgb = [c, x, 0];
+	else if (hp < 2) rgb = [x, c, 0];
+	else if (hp < 3) rgb = [0, c, x];
+	else if (hp < 4) rgb = [0, x, c];
+	else if (hp < 5) rgb = [x, 0, c];
+	else rgb = [c, 0, x];
+
+	return /** @type {RGB} */ (rgb.map((v) => v + m));
+}
+
+/**
+ * WCAG 2 relative luminance
+ * @param {string} hex
+ * @returns {number} in [0, 1]
+ */
+export function luminance(hex) {
+	const [r, g, b] = hexToRgb(hex).map(srgbToLinear);
+	return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * WCAG 2 contrast ratio
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} in [1, 21]
+ */
+export function contrastRatio(a, b) {
+	const la = luminance(a);
+	const lb = luminance(b);
+	return (Math.max(la, lb) + 0.05) / (Math.min(la, lb) + 0.05);
+}
+
+/* -------------------------------------------------- */
+/* Seeded helpers                                     */
+/* -------------------------------------------------- */
+
+/**
+ * Pick a palette, shuffle it and keep a subset that satisfies the constraints.
+ *
+ * Colors are kept greedily in shuffled order, skipping any color whose contrast
+ * against an already kept color is below `minContrast`.
+ *
+ * @param {SeedRandom} rng
+ * @param {string[][]} palettes - e.g. `nice-color-palettes`
+ * @param {PickPaletteOptions} [options]
+ * @returns {string[]}
+ */
+export function pickPalette(rng, palettes, options = {}) {
+	const { minSize = 1, maxSize = Infinity, minContrast = 1, attempts = 50 } = options;
+	if (minSize < 1 || minSize > maxSize) {
+		throw new Error(`Invalid palette size range: [${minSize}, ${maxSize}]`);
+	}
+
+	for (let attempt = 0; attempt < attempts; attempt++) {
+		const palette = rng.shuffle(rng.pick(palettes));
+		if (palette.length < minSize) continue;
+
+		/** @type {string[]} */
+		const kept = [];
+		for (const color of palette) {
+			if (kept.every((other) => contrastRatio(color, other) >= minContrast)) {
+				kept.push(color);
+			}
+		}
+		if (kept.length < minSize) continue;
+
+		const size = rng.int(minSize, Math.min(maxSize, kept.length));
+		return kept.slice(0, size);
+	}
+
+	throw new Error(`No palette satisfies the constraints after ${attempts} attempts`);
+}
+
+/**
+ * Random in-gamut color in OKLCH
+ * @param {SeedRandom} rng
+ * @param {{ lightness?: [number, number], chroma?: [number, number] }} [options]
+ * @returns {string}
+ */
+export function randomColor(rng, options = {}) {
+	const { lightness = [0.45, 0.85], chroma = [0.05, 0.2] } = options;
+	const l = rng.between(lightness[0], lightness[1]);
+	const c = rng.between(chroma[0], chroma[1]);
+	const h = rng.between(0, 360);
+	return rgbToHex(oklchToRgb([l, c, h]));
+}
+
+/**
+ * Randomly offset a color's lightness, chroma/saturation and hue
+ * @param {SeedRandom} rng
+ * @param {string} hex
+ * @param {JitterOptions} [options]
+ * @returns {string}
+ */
+export function jitterColor(rng, hex, options = {}) {
+	const { space = "oklch", lightness = 0.05, chroma = 0.02, hue = 8 } = options;
+
+	/** @param {number} amount */
+	const offset = (amount) => (amount > 0 ? rng.between(-amount, amount) : 0);
+
+	if (space === "hsl") {
+		const [h, s, l] = rgbToHsl(hexToRgb(hex));
+		return rgbToHex(hslToRgb([h + offset(hue), clamp(s + offset(chroma)), clamp(l + offset(lightness))]));
+	}
+
+	const [l, c, h] = rgbToOklch(hexToRgb(hex));
+	return rgbToHex(oklchToRgb([l + offset(lightness), Math.max(0, c + offset(chroma)), h + offset(hue)]));
+}
+
+/**
+ * Generate a color harmony around `base` by rotating its OKLCH hue.
+ * The base color is always first.
+ *
+ * @param {SeedRandom} rng
+ * @param {string} base
+ * @param {HarmonyType} type
+ * @param {HarmonyOptions} [options]
+ * @returns {string[]}
+ */
+export function harmony(rng, base, type, options = {}) {
+	const { spread = 30, count = 3, jitter = 0 } = options;
+
+	/** @type {number[]} */
+	let offsets;
+	switch (type) {
+		case "analogous":
+			offsets = Array.from({ length: count }, (_, i) => (i - Math.floor((count - 1) / 2)) * spread);
+			// Keep the base first
+			offsets.sort((a, b) => Math.abs(a) - Math.abs(b) || a - b);
+			break;
+		case "complementary":
+			offsets = [0, 180];
+			break;
+		case "split-complementary":
+			offsets = [0, 180 - spread, 180 + spread];
+			break;
+		case "triadic":
+			offsets = [0, 120, 240];
+			break;
+		case "tetradic":
+			offsets = [0, 90, 180, 270];
+			break;
+		default:
+			throw new Error(`Unknown harmony: ${type}`);
+	}
+
+	const [l, c, h] = rgbToOklch(hexToRgb(base));
+	return offsets.map((offset) => {
+		if (offset === 0) return rgbToHex(hexToRgb(base));
+		const dh = jitter > 0 ? rng.between(-jitter, jitter) : 0;
+		return rgbToHex(oklchToRgb([l, c, h + offset + dh]));
+	});
+}
+
+/**
+ * Choose a background that keeps every other color readable.
+ *
+ * Palette colors whose contrast against all remaining colors reaches `minContrast`
+ * are candidates, one is picked at random. If none qualifies, the neutral
+ * fallback with the best worst-case contrast is used.
+ *
+ * @param {SeedRandom} rng
+ * @param {string[]} palette
+ * @param {BackgroundOptions} [options]
+ * @returns {{ background: string, colors: string[] }}
+ */
+export function pickBackground(rng, palette, options = {}) {
+	const { minContrast = 3, fallbacks = ["#f2f2f2", "#111111"] } = options;
+	if (palette.length === 0) {
+		throw new Error("Cannot pick a background from an empty palette");
+	}
+
+	/**
+	 * @param {string} bg
+	 * @param {string[]} colors
+	 */
+	const worstContrast = (bg, colors) => Math.min(...colors.map((c) => contrastRatio(bg, c)));
+
+	const candidates = palette.filter((bg, i) => {
+		const others = palette.filter((_, j) => j !== i);
+		return others.length > 0 && worstContrast(bg, others) >= minContrast;
+	});
+
+	if (candidates.length > 0) {
+		const background = rng.pick(candidates);
+		const index = palette.indexOf(background);
+		return { background, colors: palette.filter((_, i) => i !== index) };
+	}
+
+	let background = fallbacks[0];
+	for (const bg of fallbacks) {
+		if (worstContrast(bg, palette) > worstContrast(background, palette)) background = bg;
+	}
+	return { background, colors: palette.slice() };
+}
@@ -0,0 +1,63 @@
+/**
+ * @file On-canvas list of shader compile errors
+ *
+ * Shown over the canvas instead of leaving it black with a console warning.
+ * Errors carry the file and line they map back to (see `mapShaderLog`).
+ */
+
+/**
+ * @param {Element} parentElem - Usually the canvas container
+ */
+export function createShaderErrorOverlay(parentElem) {
+	const root = document.createElement("div");
+	root.className = "shader-error-overlay";
+	root.hidden = true;
+
+	const heading = document.createElement("strong");
+	const list = document.createElement("ol");
+
+	root.append(heading, list);
+	parentElem.append(root);
+
+	/**
+	 * @param {string} title - e.g. "Fragment shader failed to compile"
+	 * @param {import("./shader-source.js").ShaderError[]} errors
+	 */
+	function show(title, errors) {
+		heading.textContent = title;
+		list.replaceChildren(
+			...errors.map(({ message, file, line, source }) => {
+				const item = document.createElement("li");
+				if (file) {
+					const location = document.createElement("span");
+					location.className = "shader-error-overlay__location";
+					location.textContent = line ? `${file}:${line}` : file;
+					item.append(location, " ");
+				}
+				item.append(message);
+				if (source) {
+					const code = document.createElement("code");
+					code.textContent = source;
+					item.append(code);
+				}
+				return item;
+			}),
+		);
+		root.hidden = false;
+	}
+
+	function hide() {
+		root.hidden = true;
+		list.replaceChildren();
+	}
+
+	function dispose() {
+		root.remove();
+	}
+
+	return {
+		show,
+		hide,
+		dispose,
+	};
+}
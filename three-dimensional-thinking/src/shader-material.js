@@ -0,0 +1,188 @@
+/**
+ * @file Shared shader materials and global uniforms
+ *
+ * Global uniforms (`time`, `resolution`, `aspect`, `pointer`, plus anything
+ * added with `registerGlobalUniform`) live in one registry. Materials made by
+ * `createSharedShaderMaterial` reference the registry's uniform objects and get
+ * their GLSL declarations prepended, so `updateGlobalUniforms()` once per frame
+ * reaches every shader without walking the scene.
+ *
+ * One material can be shared by many meshes: per-mesh values set with
+ * `setInstanceUniforms` are copied into the material right before that mesh
+ * draws.
+ */
+
+import * as THREE from "three";
+
+/**
+ * @typedef {number | THREE.Vector2 | THREE.Vector3 | THREE.Vector4 | THREE.Color | THREE.Matrix3 | THREE.Matrix4 | THREE.Texture} UniformValue
+ */
+
+/**
+ * @typedef {Object} GlobalUniformValues
+ * @property {number} [time] - Seconds (or any phase) driving animation
+ * @property {[width: number, height: number]} [resolution] - Drawing buffer size in pixels
+ * @property {[x: number, y: number]} [pointer] - Pointer position in [0, 1], origin bottom-left like `gl_FragCoord`
+ */
+
+/** @type {Map<string, { uniform: THREE.IUniform<UniformValue>, type: string }>} */
+const registry = new Map();
+
+/**
+ * @param {UniformValue} value
+ * @returns {string} GLSL type
+ */
+function glslType(value) {
+	if (typeof value === "number") return "float";
+	if (value instanceof THREE.Vector2) return "vec2";
+	if (value instanceof THREE.Vector3 || value instanceof THREE.Color) return "vec3";
+	if (value instanceof THREE.Vector4) return "vec4";
+	if (value instanceof THREE.Matrix3) return "mat3";
+	if (value instanceof THREE.Matrix4) return "mat4";
+	if (value instanceof THREE.Texture) return "sampler2D";
+	throw new Error(`Unsupported uniform value: ${value}`);
+}
+
+/**
+ * Add a uniform that every shared material created afterwards can read
+ * @param {string} name - GLSL identifier
+ * @param {UniformValue} value - Initial value; also decides the GLSL type
+ * @returns {THREE.IUniform<UniformValue>} The shared uniform object
+ */
+export function registerGlobalUniform(name, value) {
+	if (registry.has(name)) {
+		throw new Error(`Global uniform already registered: ${name}`);
+	}
+	const entry = { uniform: { value }, type: glslType(value) };
+	registry.set(name, entry);
+	return entry.uniform;
+}
+
+/**
+ * @param {string} name
+ * @returns {THREE.IUniform<UniformValue> | undefined}
+ */
+export function getGlobalUniform(name) {
+	return registry.get(name)?.uniform;
+}
+
+const time = /** @type {THREE.IUniform<number>} */ (registerGlobalUniform("time", 0));
+const resolution = /** @type {THREE.IUniform<THREE.Vector2>} */ (
+	registerGlobalUniform("resolution", new THREE.Vector2(1, 1))
+);
+const aspect = /** @type {THREE.IUniform<number>} */ (registerGlobalUniform("aspect", 1));
+const pointer = /** @type {THREE.IUniform<THREE.Vector2>} */ (
+	registerGlobalUniform("pointer", new THREE.Vector2(0.5, 0.5))
+);
+
+/**
+ * Update the built-in global uniforms; omitted values keep their last value
+ * @param {GlobalUniformValues} values
+ */
+export function updateGlobalUniforms(values) {
+	if (values.time !== undefined) {
+		time.value = values.time;
+	}
+	if (values.resolution) {
+		resolution.value.set(...values.resolution);
+		aspect.value = values.resolution[0] / values.resolution[1];
+	}
+	if (values.pointer) {
+		pointer.value.set(...values.pointer);
+	}
+}
+
+/**
+ * @typedef {Object} SharedShaderMaterialOptions
+ * @property {string} vertexShader - Without declarations for global or instance uniforms
+ * @property {string} fragmentShader - Without declarations for global or instance uniforms
+ * @property {Record<string, THREE.IUniform>} [uniforms] - Material-wide uniforms, declared by the shader itself
+ * @property {Record<string, UniformValue>} [instanceUniforms] - Per-mesh uniforms and their defaults
+ */
+
+/**
+ * One program for many meshes, with global and per-instance uniforms declared
+ * automatically
+ * @param {SharedShaderMaterialOptions & Omit<THREE.ShaderMaterialParameters, keyof SharedShaderMaterialOptions>} options
+ */
+export function createSharedShaderMaterial(options) {
+	const { vertexShader, fragmentShader, uniforms = {}, instanceUniforms = {}, ...parameters } = options;
+
+	/** @type {Record<string, THREE.IUniform>} */
+	const allUniforms = {};
+	const declarations = [];
+
+	for (const [name, { uniform, type }] of registry) {
+		allUniforms[name] = uniform;
+		declarations.push(`uniform ${type} ${name};`);
+	}
+	for (const [name, value] of Object.entries(instanceUniforms)) {
+		allUniforms[name] = { value: typeof value === "number" ? value : value.clone() };
+		declarations.push(`uniform ${glslType(value)} ${name};`);
+	}
+	Object.assign(allUniforms, uniforms);
+
+	const header = declarations.join("\n") + "\n";
+
+	const material = new THREE.ShaderMaterial({
+		...parameters,
+		uniforms: allUniforms,
+		vertexShader: header + vertexShader,
+		fragmentShader: header + fragmentShader,
+	});
+	material.userData.uniformHeader = header;
+	return material;
+}
+
+/**
+ * Swap the shader code of a shared material, e.g. after a hot reload; the
+ * uniforms and the meshes using the material stay as they are
+ * @param {THREE.ShaderMaterial} material - Created by `createSharedShaderMaterial`
+ * @param {Pick<SharedShaderMaterialOptions, "vertexShader" | "fragmentShader">} shaders
+ */
+export function setSharedShaderSources(material, { vertexShader, fragmentShader }) {
+	const header = /** @type {string} */ (material.userData.uniformHeader ?? "");
+	material.vertexShader = header + vertexShader;
+	material.fragmentShader = header + fragmentShader;
+	material.needsUpdate = true;
+}
+
+/**
+ * @this {THREE.Object3D}
+ * @param {THREE.WebGLRenderer} _renderer
+ * @param {THREE.Scene} _scene
+ * @param {THREE.Camera} _camera
+ * @param {THREE.BufferGeometry} _geometry
+ * @param {THREE.Material} material
+ */
+function applyInstanceUniforms(_renderer, _scene, _camera, _geometry, material) {
+	if (!(material instanceof THREE.ShaderMaterial)) return;
+
+	const values = /** @type {Record<string, UniformValue>} */ (this.userData.instanceUniforms);
+	for (const [name, value] of Object.entries(values)) {
+		const uniform = material.uniforms[name];
+		if (!uniform) continue;
+		if (typeof value === "number" || value instanceof THREE.Texture) uniform.value = value;
+		else uniform.value.copy(value);
+	}
+	material.uniformsNeedUpdate = true;
+}
+
+/**
+ * Give a mesh its own values for a shared material's instance uniforms
+ * @param {THREE.Object3D} object
+ * @param {Record<string, UniformValue>} values
+ */
+export function setInstanceUniforms(object, values) {
+	object.userData.instanceUniforms = { ...object.userData.instanceUniforms, ...values };
+	object.onBeforeRender = applyInstanceUniforms;
+}
+
+/**
+ * @param {THREE.Object3D} object
+ * @param {string} name
+ * @returns {UniformValue | undefined}
+ */
+export function getInstanceUniform(object, name) {
+	return object.userData.instanceUniforms?.[name];
+}
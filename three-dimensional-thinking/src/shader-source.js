@@ -0,0 +1,177 @@
+/**
+ * @file GLSL sources from `src/shaders`, with `#include` and hot reload
+ *
+ * Every `.glsl` file under `src/shaders` is bundled as text. Shaders name them
+ * by their path inside that folder (e.g. `boxes.frag.glsl`) and may pull in
+ * other files with `#include "./chunks/lighting.glsl"` (relative to the
+ * including file) or three's chunks with `#include <common>`. Each file is
+ * included at most once per shader, so shared chunks need no include guards.
+ *
+ * Resolving a shader also returns which file and line every output line came
+ * from, so compiler errors can point back at the source.
+ *
+ * In development, editing a `.glsl` file re-runs the `onShaderChange`
+ * listeners instead of reloading the page.
+ */
+
+import * as THREE from "three";
+
+/**
+ * @typedef {Object} SourceLine
+ * @property {string} file - Path inside `src/shaders`, or `<chunk>` for three's chunks
+ * @property {number} line - 1-based
+ */
+
+/**
+ * @typedef {Object} ResolvedShader
+ * @property {string} code - GLSL with every include expanded
+ * @property {SourceLine[]} lines - Origin of each line of `code`
+ */
+
+/**
+ * @typedef {Object} ShaderError
+ * @property {string} message
+ * @property {string} [file] - Missing when the line could not be mapped (e.g. link errors)
+ * @property {number} [line]
+ * @property {string} [source] - The offending source line
+ */
+
+const SHADERS_DIR = "./shaders/";
+const INCLUDE_PATTERN = /^[ \t]*#include[ \t]+(?:"([^"]+)"|<([\w]+)>)/;
+
+/** @type {Record<string, string>} Keyed by path inside `src/shaders` */
+const files = import.meta.hot?.data.files ?? {};
+
+/** @type {Set<() => void>} */
+const listeners = import.meta.hot?.data.listeners ?? new Set();
+
+function loadFiles() {
+	const modules = /** @type {Record<string, string>} */ (
+		import.meta.glob("./shaders/**/*.glsl", { query: "?raw", import: "default", eager: true })
+	);
+	for (const key of Object.keys(files)) {
+		delete files[key];
+	}
+	for (const [path, source] of Object.entries(modules)) {
+		files[path.slice(SHADERS_DIR.length)] = source;
+	}
+}
+
+loadFiles();
+
+if (import.meta.hot) {
+	const reloaded = "files" in import.meta.hot.data;
+	import.meta.hot.data.files = files;
+	import.meta.hot.data.listeners = listeners;
+	import.meta.hot.accept();
+
+	// The previous version of this module registered the listeners; this one
+	// brings the edited sources
+	if (reloaded) {
+		for (const listener of listeners) listener();
+	}
+}
+
+/**
+ * @param {string} from - File doing the include
+ * @param {string} path - As written in the `#include`
+ * @returns {string}
+ */
+function resolvePath(from, path) {
+	const parts = from.split("/").slice(0, -1);
+	for (const part of path.split("/")) {
+		if (part === "..") parts.pop();
+		else if (part !== "." && part !== "") parts.push(part);
+	}
+	return parts.join("/");
+}
+
+/**
+ * Expand the includes of a shader under `src/shaders`
+ * @param {string} file - e.g. `boxes.frag.glsl`
+ * @returns {ResolvedShader}
+ */
+export function resolveShader(file) {
+	if (!(file in files)) {
+		throw new Error(`Shader not found: ${file}`);
+	}
+
+	/** @type {string[]} */
+	const code = [];
+	/** @type {SourceLine[]} */
+	const lines = [];
+	/** @type {Set<string>} */
+	const included = new Set();
+
+	/**
+	 * @param {string} name
+	 * @param {string} source
+	 */
+	const expand = (name, source) => {
+		included.add(name);
+		source.split("\n").forEach((text, index) => {
+			const match = INCLUDE_PATTERN.exec(text);
+			if (!match) {
+				code.push(text);
+				lines.push({ file: name, line: index + 1 });
+				return;
+			}
+
+			const [, path, chunk] = match;
+			const target = path ? resolvePath(name, path) : `<${chunk}>`;
+			if (included.has(target)) return;
+
+			const targetSource = path
+				? files[target]
+				: THREE.ShaderChunk[/** @type {keyof typeof THREE.ShaderChunk} */ (chunk)];
+			if (targetSource === undefined) {
+				throw new Error(`${name}:${index + 1}: cannot include ${path ? `"${path}"` : `<${chunk}>`}`);
+			}
+			expand(target, targetSource);
+		});
+	};
+
+	expand(file, files[file]);
+	return { code: code.join("\n"), lines };
+}
+
+/**
+ * Run `listener` whenever a `.glsl` file is edited (development only)
+ * @param {() => void} listener
+ * @returns {() => void} Unsubscribe
+ */
+export function onShaderChange(listener) {
+	listeners.add(listener);
+	return () => listeners.delete(listener);
+}
+
+/**
+ * Map a compiler info log back to the files that make up a shader.
+ *
+ * three puts its own defines and the shared-material declarations in front of
+ * the resolved code, so lines are matched up from the end of the final source.
+ *
+ * @param {string} log - `gl.getShaderInfoLog()`
+ * @param {string} finalSource - `gl.getShaderSource()`, the code that was compiled
+ * @param {ResolvedShader} shader
+ * @returns {ShaderError[]}
+ */
+export function mapShaderLog(log, finalSource, shader) {
+	const offset = finalSource.split("\n").length - shader.lines.length;
+
+	return log
+		.split("\n")
+		.map((text) => text.trim())
+		.filter(Boolean)
+		.map((text) => {
+			// e.g. "ERROR: 0:42: 'foo' : undeclared identifier"
+			const match = /^(?:ERROR|WARNING):\s*\d+:(\d+):\s*(.*)$/.exec(text);
+			const origin = match ? shader.lines[Number(match[1]) - 1 - offset] : undefined;
+			if (!match || !origin) {
+				return { message: text };
+			}
+
+			const source = origin.file.startsWith("<") ? undefined : files[origin.file]?.split("\n")[origin.line - 1]?.trim();
+			return { message: match[2], file: origin.file, line: origin.line, source };
+		});
+}
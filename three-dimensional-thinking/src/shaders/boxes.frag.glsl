@@ -0,0 +1,62 @@
+precision highp float;
+
+uniform float shadingAmbient;
+uniform vec2 fieldFrequency;
+uniform float fieldGain;
+uniform float accentMix;
+uniform float pulseStrength;
+
+#include "./chunks/lighting.glsl"
+
+varying vec3 vPos;
+varying vec3 vNormal;
+varying vec3 vColor;
+varying vec3 vViewPosition;
+
+// Luminance helper
+float luma(vec3 c) {
+	return dot(c, vec3(0.299, 0.587, 0.114));
+}
+
+void main() {
+
+	/* -------------------- LIGHTING -------------------- */
+
+	vec3 normal = normalize(vNormal);
+	vec3 ambient = ambientIrradiance(normal);
+	vec3 diffuse = diffuseIrradiance(normal, vViewPosition);
+
+	// Ambient + diffuse balance; white lights at intensity 1 give the plain Lambert look
+	vec3 lighting = shadingAmbient * ambient + (1.0 - shadingAmbient) * diffuse;
+
+	/* -------------------- COLOR LOGIC -------------------- */
+
+	float field = 0.5 + 0.5 * sin(
+		time +
+		vPos.x * fieldFrequency.x +
+		vPos.y * fieldFrequency.y
+	)  * fieldGain;
+
+	float shape = smoothstep(0.0, 1.0, field);
+
+	vec3 base = vColor;
+	vec3 accent = 1.0 - vColor;
+
+	float contrast = mix(0.6, 1.4, shape);
+
+	vec3 finalColor = mix(
+		base * contrast,
+		accent,
+		shape * accentMix
+	);
+
+	// Subtle time-based modulation
+	float colorStrength = luma(vColor);
+	finalColor *= (1.0 - pulseStrength) + pulseStrength * sin(time + colorStrength * 6.0);
+
+	/* -------------------- APPLY LIGHT -------------------- */
+
+	finalColor *= lighting;
+
+	gl_FragColor = vec4(finalColor, 1.0);
+}
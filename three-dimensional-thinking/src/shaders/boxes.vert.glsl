@@ -0,0 +1,35 @@
+// Global uniforms (time, resolution, aspect, pointer) and `color` are declared
+// by createSharedShaderMaterial
+
+varying vec3 vPos;
+varying vec3 vNormal;
+varying vec3 vColor;
+varying vec3 vViewPosition;
+
+void main() {
+	vPos = position;
+
+	#ifdef USE_INSTANCING
+		// Inverse-transpose of a rotation-scale matrix, as in three's defaultnormal_vertex
+		mat3 im = mat3(instanceMatrix);
+		vec3 objectNormal = im * (normal / vec3(dot(im[0], im[0]), dot(im[1], im[1]), dot(im[2], im[2])));
+		vec4 localPosition = instanceMatrix * vec4(position, 1.0);
+	#else
+		vec3 objectNormal = normal;
+		vec4 localPosition = vec4(position, 1.0);
+	#endif
+
+	#ifdef USE_INSTANCING_COLOR
+		vColor = instanceColor;
+	#else
+		vColor = color;
+	#endif
+
+	// Transform normal to view space
+	vNormal = normalize(normalMatrix * objectNormal);
+
+	vec4 mvPosition = modelViewMatrix * localPosition;
+	vViewPosition = mvPosition.xyz;
+
+	gl_Position = projectionMatrix * mvPosition;
+}
@@ -0,0 +1,40 @@
+// Scene lights, as filled in by three for materials with `lights: true`
+
+#include <common>
+#include <lights_pars_begin>
+
+// Light that ignores the surface direction
+vec3 ambientIrradiance(vec3 normal) {
+	vec3 ambient = ambientLightColor;
+	#if NUM_HEMI_LIGHTS > 0
+		for (int i = 0; i < NUM_HEMI_LIGHTS; i++) {
+			ambient += getHemisphereLightIrradiance(hemisphereLights[i], normal);
+		}
+	#endif
+	return ambient;
+}
+
+// Lambert shading, summed over every light (all in view space)
+vec3 diffuseIrradiance(vec3 normal, vec3 viewPosition) {
+	IncidentLight incident;
+	vec3 diffuse = vec3(0.0);
+	#if NUM_DIR_LIGHTS > 0
+		for (int i = 0; i < NUM_DIR_LIGHTS; i++) {
+			getDirectionalLightInfo(directionalLights[i], incident);
+			diffuse += incident.color * max(dot(normal, incident.direction), 0.0);
+		}
+	#endif
+	#if NUM_POINT_LIGHTS > 0
+		for (int i = 0; i < NUM_POINT_LIGHTS; i++) {
+			getPointLightInfo(pointLights[i], viewPosition, incident);
+			diffuse += incident.color * max(dot(normal, incident.direction), 0.0);
+		}
+	#endif
+	#if NUM_SPOT_LIGHTS > 0
+		for (int i = 0; i < NUM_SPOT_LIGHTS; i++) {
+			getSpotLightInfo(spotLights[i], viewPosition, incident);
+			diffuse += incident.color * max(dot(normal, incident.direction), 0.0);
+		}
+	#endif
+	return diffuse;
+}
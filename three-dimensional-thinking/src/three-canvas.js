@@ -1,48 +1,183 @@
 import * as THREE from "three";
-import { OrbitControls } from "three/examples/jsm/controls/OrbitControls.js";
+import { createCameraRig } from "./camera-rig.js";
+import { computeLayout, DEFAULT_LAYOUT_OPTIONS, LAYOUT_OPTION_KEYS } from "./layouts.js";
+import { createPostProcessing, DEFAULT_POST_OPTIONS, POST_OPTION_KEYS } from "./post-processing.js";
+import { exportScene } from "./scene-export.js";
 import { SeedRandom } from "./seed-random.js";
+import { harmony, pickBackground, pickPalette } from "./seeded-color.js";
+import { createShaderErrorOverlay } from "./shader-error-overlay.js";
+import {
+	createSharedShaderMaterial,
+	setInstanceUniforms,
+	setSharedShaderSources,
+	updateGlobalUniforms,
+} from "./shader-material.js";
+import { mapShaderLog, onShaderChange, resolveShader } from "./shader-source.js";
+import { createTimeline } from "./timeline.js";
 import palettes from "nice-color-palettes";
 // import { expoInOut } from "eases";
 import BezierEasing from "bezier-easing";
 
-const rng = new SeedRandom(null);
+/**
+ * @typedef {[x1: number, y1: number, x2: number, y2: number]} BezierPoints
+ */
+
+/**
+ * @typedef {Object} ThreeCanvasSceneOptions
+ * @property {import("./seed-random.js").Seed | null} seed - Scene seed, `null` for a random one
+ * @property {number | null} paletteIndex - Index into `nice-color-palettes`, `null` to pick one from the seed
+ * @property {import("./seeded-color.js").HarmonyType | null} harmony - Replace the palette with a harmony around its first color
+ * @property {THREE.ColorRepresentation} clearColor
+ * @property {boolean} paletteBackground - Use the palette color that contrasts best with the rest instead of `clearColor`
+ * @property {BezierPoints} easing - Control points of the `scene.rotation.z` easing curve
+ * @property {number} zoom - Camera zoom the presets frame the scene at, smaller = farther
+ * @property {number} viewSize - Half-height of the orthographic frustum in world units, at zoom 1
+ * @property {[x: number, y: number, z: number]} lightPosition - Directional light position
+ * @property {number} lightIntensity - Directional light intensity
+ * @property {[min: number, max: number]} ambientIntensityRange
+ * @property {number} shadingAmbient - Weight of the ambient lights against the direct (Lambert) lights in the shader
+ * @property {[x: number, y: number]} fieldFrequency - Spatial frequency of the color field
+ * @property {number} fieldGain - Sharpness of the color field
+ * @property {number} accentMix - How much of the inverted accent color shows through
+ * @property {number} pulseStrength - Depth of the time-based brightness pulse
+ * @property {number} duration - Loop length in seconds
+ * @property {number} fps - Timeline frame rate
+ * @property {boolean} loop - Wrap the playhead, otherwise stop at the end
+ * @property {boolean} fixedTimestep - Advance one frame per render instead of by real time
+ * @property {boolean} instanced - Draw every box from one `InstancedMesh`, for tens of thousands of boxes
+ */
+
+/**
+ * @typedef {ThreeCanvasSceneOptions & import("./layouts.js").LayoutOptions & import("./post-processing.js").PostOptions} ThreeCanvasOptions
+ */
+
+/**
+ * @typedef {Object} TiledRenderOptions
+ * @property {number} width - Output width in pixels
+ * @property {number} height - Output height in pixels
+ * @property {number} [tileSize=1024] - Tile edge in pixels, capped at the GPU's max texture size
+ * @property {(done: number, total: number) => void} [onProgress] - Called after each tile
+ * @property {AbortSignal} [signal]
+ */
+
+export const DEFAULT_THREE_CANVAS_OPTIONS = Object.freeze(
+	/** @type {ThreeCanvasOptions} */ ({
+		seed: null,
+		...DEFAULT_LAYOUT_OPTIONS,
+		...DEFAULT_POST_OPTIONS,
+		paletteIndex: null,
+		harmony: null,
+		clearColor: 0xf2f2f2,
+		paletteBackground: false,
+		easing: [0.67, 0.03, 0.29, 0.99],
+		zoom: 0.5,
+		viewSize: 1,
+		lightPosition: [2, 2, 4],
+		lightIntensity: 1,
+		ambientIntensityRange: [0.5, 1],
+		shadingAmbient: 0.25,
+		fieldFrequency: [3, 4],
+		fieldGain: 4.5,
+		accentMix: 0.35,
+		pulseStrength: 0.15,
+		duration: 6,
+		fps: 60,
+		loop: true,
+		fixedTimestep: false,
+		instanced: false,
+	}),
+);
+
+/** Box shaders, under `src/shaders` */
+const BOX_SHADERS = { vertex: "boxes.vert.glsl", fragment: "boxes.frag.glsl" };
+
+/**
+ * @param {unknown} a
+ * @param {unknown} b
+ */
+function sameOption(a, b) {
+	if (Array.isArray(a) && Array.isArray(b)) {
+		return a.length === b.length && a.every((v, i) => v === b[i]);
+	}
+	return a === b;
+}
+
+/**
+ * @param {ThreeCanvasOptions} opts
+ * @returns {import("./post-processing.js").PostOptions}
+ */
+function pickPostOptions(opts) {
+	return /** @type {import("./post-processing.js").PostOptions} */ (
+		Object.fromEntries(POST_OPTION_KEYS.map((key) => [key, opts[key]]))
+	);
+}
 
 /**
  * @param {HTMLCanvasElement} canvasElem
  * @param {HTMLElement} containerElem
+ * @param {Partial<ThreeCanvasOptions>} [options]
  */
-export function setupThreeCanvas(canvasElem, containerElem) {
+export function setupThreeCanvas(canvasElem, containerElem, options = {}) {
+	/** @type {ThreeCanvasOptions} */
+	let opts = { ...DEFAULT_THREE_CANVAS_OPTIONS, ...options };
+
 	const renderer = new THREE.WebGLRenderer({
 		canvas: canvasElem,
 		antialias: true,
-		preserveDrawingBuffer: true,
+		// Pixels are read back through `requestCapture()` instead
+		preserveDrawingBuffer: false,
 	});
-	renderer.setClearColor(0xf2f2f2, 1);
 
 	const scene = new THREE.Scene();
 
-	const camera = new THREE.OrthographicCamera();
-	camera.zoom = 0.5; // smaller = farther
-	camera.updateProjectionMatrix();
+	const cameraRig = createCameraRig(canvasElem, { viewSize: opts.viewSize, zoom: opts.zoom });
 
-	camera.position.set(4, 2, 20);
-	camera.lookAt(0, 0, 0);
+	// Each part of the scene draws from its own derived stream,
+	// so rebuilding one part never reshuffles the others
+	let rng = new SeedRandom(opts.seed);
 
-	const controls = new OrbitControls(camera, canvasElem);
-	controls.enableDamping = true;
+	/**
+	 * Colors of the boxes and lights, and the background when it comes from the palette
+	 * @returns {{ palette: string[], background: string | null }}
+	 */
+	function pickColors() {
+		const colorRng = rng.derive("palette");
+		// A seeded pick drops near-identical colors, which would read as one
+		let colors =
+			opts.paletteIndex == null
+				? pickPalette(colorRng, palettes, { minSize: 3, minContrast: 1.1 })
+				: palettes[Math.abs(Math.floor(opts.paletteIndex)) % palettes.length];
+		if (opts.harmony) {
+			colors = harmony(colorRng, colors[0], opts.harmony, { jitter: 8 });
+		}
+		if (!opts.paletteBackground) {
+			return { palette: colors, background: null };
+		}
+		const { background, colors: rest } = pickBackground(colorRng, colors);
+		return { palette: rest, background };
+	}
 
-	const palette = rng.pick(palettes);
+	let { palette, background } = pickColors();
+
+	function applyBackground() {
+		renderer.setClearColor(background ?? opts.clearColor, 1);
+	}
+
+	applyBackground();
 
 	const box = new THREE.BoxGeometry(1, 1, 1);
-	const meshesCount = 40;
-	const meshes = new Array(meshesCount);
-	for (let i = 0; i < meshesCount; i++) {
-		const mesh = new THREE.Mesh(
-			box,
-			// new THREE.MeshStandardMaterial({
-			// 	color: rng.pick(palette),
-			// }),
-			/*
+	const meshGroup = new THREE.Group();
+	scene.add(meshGroup);
+
+	/** @type {THREE.Mesh<THREE.BoxGeometry, THREE.ShaderMaterial>[]} */
+	let meshes = [];
+	/** @type {THREE.InstancedMesh<THREE.BoxGeometry, THREE.ShaderMaterial> | null} */
+	let instancedMesh = null;
+
+	// new THREE.MeshStandardMaterial({
+	// 	color: rng.pick(palette),
+	// }),
+	/*
 `
   precision highp float;
 
@@ -69,99 +204,213 @@ export function setupThreeCanvas(canvasElem, containerElem) {
     gl_FragColor = vec4(color, alpha);
   }
 `
-			*/
-			new THREE.ShaderMaterial({
-				uniforms: {
-					time: { value: 0 },
-					color: { value: new THREE.Color(rng.pick(palette)) },
-				},
-				vertexShader: /* glsl */ `
-					varying vec3 vPos;
-					varying vec3 vNormal;
+	*/
+	let vertexShader = resolveShader(BOX_SHADERS.vertex);
+	let fragmentShader = resolveShader(BOX_SHADERS.fragment);
+
+	// One program for every box; each mesh only carries its `color`.
+	// Instanced boxes read theirs from `instanceColor` instead.
+	const material = createSharedShaderMaterial({
+		instanceUniforms: {
+			color: new THREE.Color(),
+		},
+		// Let three fill in the scene's lights (ambientLightColor, directionalLights, ...)
+		lights: true,
+		uniforms: {
+			...THREE.UniformsUtils.clone(THREE.UniformsLib.lights),
+			shadingAmbient: { value: opts.shadingAmbient },
+			fieldFrequency: { value: new THREE.Vector2(...opts.fieldFrequency) },
+			fieldGain: { value: opts.fieldGain },
+			accentMix: { value: opts.accentMix },
+			pulseStrength: { value: opts.pulseStrength },
+		},
+		vertexShader: vertexShader.code,
+		fragmentShader: fragmentShader.code,
+	});
+
+	/**
+	 * Color and transform of every visible box; both render paths share them so they match
+	 */
+	function createBoxes() {
+		return (
+			computeLayout(opts, rng)
+				.map(({ position, size }, i) => ({
+					color: new THREE.Color(rng.derive("mesh", i).pick(palette)),
+					position: new THREE.Vector3(...position),
+					scale: new THREE.Vector3(...size),
+				}))
+				// Dropped after coloring, so a box keeps its color when others vanish
+				.filter(({ scale }) => scale.x > 0 && scale.y > 0 && scale.z > 0)
+		);
+	}
 
-					void main() {
-						vPos = position;
+	function buildMeshes() {
+		for (const mesh of meshes) {
+			meshGroup.remove(mesh);
+		}
+		meshes = [];
+		if (instancedMesh) {
+			meshGroup.remove(instancedMesh);
+			instancedMesh.dispose();
+			instancedMesh = null;
+		}
 
-						// Transform normal to view space
-						vNormal = normalize(normalMatrix * normal);
+		const boxes = createBoxes();
+
+		if (opts.instanced) {
+			const instances = new THREE.InstancedMesh(box, material, boxes.length);
+			const matrix = new THREE.Matrix4();
+			const rotation = new THREE.Quaternion();
+			boxes.forEach(({ color, position, scale }, i) => {
+				instances.setMatrixAt(i, matrix.compose(position, rotation, scale));
+				instances.setColorAt(i, color);
+			});
+			instances.computeBoundingSphere();
+			meshGroup.add(instances);
+			instancedMesh = instances;
+			return;
+		}
 
-						gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-					}
-				`,
-				fragmentShader: /* glsl */ `
-					precision highp float;
+		meshes = boxes.map(({ color, position, scale }) => {
+			const mesh = new THREE.Mesh(box, material);
+			setInstanceUniforms(mesh, { color });
+			mesh.position.copy(position);
+			mesh.scale.copy(scale);
+			meshGroup.add(mesh);
+			return mesh;
+		});
+	}
 
-					uniform float time;
-					uniform vec3 color;
+	buildMeshes();
 
-					varying vec3 vPos;
-					varying vec3 vNormal;
+	const errorOverlay = createShaderErrorOverlay(containerElem);
 
-					// Luminance helper
-					float luma(vec3 c) {
-						return dot(c, vec3(0.299, 0.587, 0.114));
-					}
+	/**
+	 * Compiler output of the programs that failed, captured by three's error
+	 * hook (which only fires the first time a program is used)
+	 * @type {WeakMap<WebGLProgram, import("./shader-source.js").ShaderError[]>}
+	 */
+	const programErrors = new WeakMap();
+
+	renderer.debug.onShaderError = (gl, program, glVertexShader, glFragmentShader) => {
+		const errors = [
+			...mapShaderLog(
+				gl.getShaderInfoLog(glVertexShader) ?? "",
+				gl.getShaderSource(glVertexShader) ?? "",
+				vertexShader,
+			),
+			...mapShaderLog(
+				gl.getShaderInfoLog(glFragmentShader) ?? "",
+				gl.getShaderSource(glFragmentShader) ?? "",
+				fragmentShader,
+			),
+		];
+		if (errors.length === 0) {
+			errors.push({ message: gl.getProgramInfoLog(program)?.trim() || "Shader program failed to link" });
+		}
+		programErrors.set(program, errors);
+	};
 
-					void main() {
+	/**
+	 * Compile the box material for the current scene
+	 * @returns {import("./shader-source.js").ShaderError[]} Empty if it compiled and linked
+	 */
+	function compileShaders() {
+		renderer.compile(scene, cameraRig.camera);
+		const { currentProgram } = /** @type {{ currentProgram?: THREE.WebGLProgram }} */ (
+			renderer.properties.get(material)
+		);
+		if (!currentProgram) return [];
 
-						/* -------------------- LIGHTING -------------------- */
+		// three checks a program for errors on its first use
+		currentProgram.getUniforms();
+		return programErrors.get(currentProgram.program) ?? [];
+	}
 
-						// Match your DirectionalLight position
-						vec3 lightDir = normalize(vec3(2.0, 2.0, 4.0));
+	/**
+	 * Show the compile errors of the current shaders, if any
+	 */
+	function checkShaders() {
+		const errors = compileShaders();
+		if (errors.length > 0) errorOverlay.show("Shader failed to compile", errors);
+		else errorOverlay.hide();
+	}
+
+	/**
+	 * Swap in the edited `.glsl` sources without rebuilding the scene. If they do
+	 * not compile, the last working program keeps rendering.
+	 */
+	function reloadShaders() {
+		let next;
+		try {
+			next = [resolveShader(BOX_SHADERS.vertex), resolveShader(BOX_SHADERS.fragment)];
+		} catch (error) {
+			errorOverlay.show("Shader failed to load", [{ message: error instanceof Error ? error.message : String(error) }]);
+			return;
+		}
 
-						// Lambert shading
-						float diffuse = max(dot(vNormal, lightDir), 0.0);
+		const previous = {
+			shaders: [vertexShader, fragmentShader],
+			vertexShader: material.vertexShader,
+			fragmentShader: material.fragmentShader,
+		};
 
-						// Ambient + diffuse balance
-						float lighting = 0.25 + 0.75 * diffuse;
+		[vertexShader, fragmentShader] = next;
+		setSharedShaderSources(material, { vertexShader: vertexShader.code, fragmentShader: fragmentShader.code });
 
-						/* -------------------- COLOR LOGIC -------------------- */
+		const errors = compileShaders();
+		if (errors.length === 0) {
+			errorOverlay.hide();
+			return;
+		}
 
-						float field = 0.5 + 0.5 * sin(
-							time +
-							vPos.x * 3.0 +
-							vPos.y * 4.0
-						)  * 4.5;
+		errorOverlay.show("Shader failed to compile, still showing the last working version", errors);
+		[vertexShader, fragmentShader] = previous.shaders;
+		material.vertexShader = previous.vertexShader;
+		material.fragmentShader = previous.fragmentShader;
+		material.needsUpdate = true;
+	}
 
-						float shape = smoothstep(0.0, 1.0, field);
+	const stopShaderReload = onShaderChange(reloadShaders);
 
-						vec3 base = color;
-						vec3 accent = 1.0 - color;
+	function applyShaderConstants() {
+		const { uniforms } = material;
+		uniforms.shadingAmbient.value = opts.shadingAmbient;
+		uniforms.fieldFrequency.value.set(...opts.fieldFrequency);
+		uniforms.fieldGain.value = opts.fieldGain;
+		uniforms.accentMix.value = opts.accentMix;
+		uniforms.pulseStrength.value = opts.pulseStrength;
+	}
 
-						float contrast = mix(0.6, 1.4, shape);
+	const ambientLight = new THREE.AmbientLight();
+	scene.add(ambientLight);
 
-						vec3 finalColor = mix(
-							base * contrast,
-							accent,
-							shape * 0.35
-						);
+	const light = new THREE.DirectionalLight();
+	scene.add(light);
 
-						// Subtle time-based modulation
-						float colorStrength = luma(color);
-						finalColor *= 0.85 + 0.15 * sin(time + colorStrength * 6.0);
+	function applyLights() {
+		const lightRng = rng.derive("lights");
+		ambientLight.color.set(lightRng.pick(palette));
+		ambientLight.intensity = lightRng.between(...opts.ambientIntensityRange);
 
-						/* -------------------- APPLY LIGHT -------------------- */
+		light.color.set(lightRng.pick(palette));
+		light.intensity = opts.lightIntensity;
+		light.position.set(...opts.lightPosition);
+	}
 
-						finalColor *= lighting;
+	applyLights();
+	checkShaders();
 
-						gl_FragColor = vec4(finalColor, 1.0);
-					}
-				`,
-			}),
-		);
-		scene.add(mesh);
-		meshes[i] = mesh;
+	const post = createPostProcessing(renderer, pickPostOptions(opts));
 
-		mesh.position.set(rng.between(-1, 1), rng.between(-1, 1), rng.between(-1, 1));
-		mesh.scale.set(rng.between(-1, 1), rng.between(-1, 1), rng.between(-1, 1));
-		mesh.scale.multiplyScalar(0.5);
+	function applyGrainSeed() {
+		post.setSeed(rng.derive("grain").int(0, 0xffff));
 	}
 
-	scene.add(new THREE.AmbientLight(rng.pick(palette), rng.between(0.5, 1)));
+	applyGrainSeed();
 
-	const light = new THREE.DirectionalLight(rng.pick(palette), 1);
-	scene.add(light);
-	light.position.set(2, 2, 4);
+	/** Last observed container size, in CSS pixels */
+	let viewport = { width: 1, height: 1 };
 
 	const resizeObserver = new ResizeObserver((entries) => {
 		const entry = entries[0];
@@ -171,82 +420,342 @@ export function setupThreeCanvas(canvasElem, containerElem) {
 
 		renderer.setPixelRatio(dpr);
 		renderer.setSize(width, height, false);
+		updateGlobalUniforms({ resolution: [canvasElem.width, canvasElem.height] });
 
-		// camera.aspect = width / height;
-		const aspect = width / height;
-
-		// Ortho zoom
-		const zoom = 1.0;
+		// Only the aspect changes; wherever the user orbited to stays
+		viewport = { width, height };
+		cameraRig.setViewport(width, height);
+	});
 
-		// Bounds
-		camera.left = -zoom * aspect;
-		camera.right = zoom * aspect;
-		camera.top = zoom;
-		camera.bottom = -zoom;
+	resizeObserver.observe(containerElem);
 
-		// Near/Far
-		camera.near = -100;
-		camera.far = 100;
+	/**
+	 * @param {PointerEvent} e
+	 */
+	function onPointerMove(e) {
+		const rect = canvasElem.getBoundingClientRect();
+		updateGlobalUniforms({
+			pointer: [(e.clientX - rect.left) / rect.width, 1 - (e.clientY - rect.top) / rect.height],
+		});
+	}
+	canvasElem.addEventListener("pointermove", onPointerMove);
 
-		// Set position & look at world center
-		camera.position.set(zoom, zoom, zoom);
-		camera.lookAt(new THREE.Vector3());
+	// e.g. [0.42, 0, 0.58, 1] for a plain ease-in-out
+	let easeFn = BezierEasing(...opts.easing);
 
-		// Update the camera
-		camera.updateProjectionMatrix();
+	const timeline = createTimeline({
+		duration: opts.duration,
+		fps: opts.fps,
+		loop: opts.loop,
+		fixedTimestep: opts.fixedTimestep,
 	});
 
-	resizeObserver.observe(containerElem);
+	/**
+	 * Move the scene to a timeline state without drawing it
+	 * @param {import("./timeline.js").TimelineState} state
+	 */
+	function applyFrame({ playhead, duration }) {
+		// Both loops complete exactly once per playhead cycle: one turn of the
+		// shader's sine field, and the ~2s rotation swing rounded to whole swings
+		const time = playhead * Math.PI * 2;
+		const swings = Math.max(1, Math.round(duration / 2));
 
-	const easeFn = BezierEasing(
-		// 0.42, 0, 0.58, 1
-		0.67,
-		0.03,
-		0.29,
-		0.99,
-	);
+		updateGlobalUniforms({ time });
 
-	const clock = new THREE.Clock();
+		const t = Math.sin(Math.PI * 2 * playhead * swings);
+		scene.rotation.z = easeFn(t);
 
-	/** @type {number|undefined} */
-	let renderHandle;
-	function render() {
-		const elapsedTime = clock.getElapsedTime();
-
-		// scene.traverse((obj) => {
-		// 	if (obj.material?.uniforms?.time) {
-		// 		obj.material.uniforms.time.value = elapsedTime;
-		// 	}
-		// });
-		for (let i = 0; i < meshes.length; i++) {
-			const mesh = meshes[i];
-			if (mesh.material?.uniforms?.time) {
-				mesh.material.uniforms.time.value = elapsedTime;
+		cameraRig.update();
+	}
+
+	/**
+	 * Draw the scene at a timeline state, synchronously
+	 * @param {import("./timeline.js").TimelineState} state
+	 */
+	function drawFrame(state) {
+		applyFrame(state);
+		post.render(scene, cameraRig.camera, { frame: state.frame });
+	}
+
+	/**
+	 * Render the current timeline state right now, e.g. right before reading pixels back
+	 */
+	function renderFrame() {
+		drawFrame(timeline.getState());
+	}
+
+	/** @type {Array<{ run: () => void, cancel: (error: Error) => void }>} */
+	let captureQueue = [];
+
+	/**
+	 * Run `read` right after the next frame is drawn, while the drawing buffer
+	 * still holds it
+	 * @template T
+	 * @param {() => T} read - e.g. `() => ctx.drawImage(canvasElem, 0, 0)`
+	 * @returns {Promise<T>}
+	 */
+	function requestCapture(read) {
+		return new Promise((resolve, reject) => {
+			captureQueue.push({
+				run: () => {
+					try {
+						resolve(read());
+					} catch (error) {
+						reject(error);
+					}
+				},
+				cancel: reject,
+			});
+		});
+	}
+
+	/** While set, the render loop leaves the canvas and camera alone */
+	let suspended = false;
+
+	/**
+	 * Re-render the current frame at any size, one tile at a time, so the
+	 * output is limited by memory rather than by the GPU or the screen
+	 * @param {TiledRenderOptions} tiledOptions
+	 * @returns {Promise<HTMLCanvasElement>}
+	 */
+	async function renderTiled(tiledOptions) {
+		const { width, height, tileSize = 1024, onProgress, signal } = tiledOptions;
+		if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1) {
+			throw new Error(`Invalid export size: ${width}x${height}`);
+		}
+		if (suspended) {
+			throw new Error("A tiled render is already running");
+		}
+
+		const output = document.createElement("canvas");
+		output.width = width;
+		output.height = height;
+		const ctx = output.getContext("2d");
+		if (!ctx) {
+			throw new Error("Failed to create export canvas");
+		}
+
+		const size = Math.max(1, Math.min(tileSize, renderer.capabilities.maxTextureSize));
+		const target = new THREE.WebGLRenderTarget(size, size, { samples: 4 });
+		const pixels = new Uint8Array(size * size * 4);
+
+		// Post passes look the same at any size when measured in screen pixels,
+		// and those that sample neighbors need tiles to overlap
+		const pixelScale = height / renderer.getDrawingBufferSize(new THREE.Vector2()).y;
+		const padding = Math.min(post.getTilePadding(pixelScale), Math.floor((size - 1) / 2));
+		const step = size - 2 * padding;
+		const cols = Math.ceil(width / step);
+		const rows = Math.ceil(height / step);
+
+		suspended = true;
+		try {
+			const state = timeline.getState();
+			applyFrame(state);
+
+			// Frame the output's aspect ratio instead of the screen's
+			cameraRig.setViewport(width, height);
+			const camera = cameraRig.camera;
+
+			for (let row = 0; row < rows; row++) {
+				for (let col = 0; col < cols; col++) {
+					signal?.throwIfAborted();
+
+					const x = col * step;
+					const y = row * step;
+					const w = Math.min(step, width - x);
+					const h = Math.min(step, height - y);
+
+					// Tiles render `padding` pixels past their edges, and edge tiles
+					// past the image; both are cropped on copy
+					const left = x - padding;
+					const top = y - padding;
+					camera.setViewOffset(width, height, left, top, size, size);
+					post.render(scene, camera, {
+						target,
+						frame: state.frame,
+						fullResolution: [width, height],
+						offset: [left, height - top - size],
+						pixelScale,
+					});
+					renderer.readRenderTargetPixels(target, 0, 0, size, size, pixels);
+
+					// WebGL rows run bottom-up
+					const tile = ctx.createImageData(w, h);
+					for (let r = 0; r < h; r++) {
+						const start = ((size - 1 - padding - r) * size + padding) * 4;
+						tile.data.set(pixels.subarray(start, start + w * 4), r * w * 4);
+					}
+					ctx.putImageData(tile, x, y);
+
+					onProgress?.(row * cols + col + 1, rows * cols);
+					await new Promise((resolve) => setTimeout(resolve, 0));
+				}
 			}
+		} finally {
+			renderer.setRenderTarget(null);
+			cameraRig.camera.clearViewOffset();
+			cameraRig.setViewport(viewport.width, viewport.height);
+			target.dispose();
+			suspended = false;
 		}
 
-		const t = Math.sin(Math.PI * elapsedTime);
-		scene.rotation.z = easeFn(t);
+		return output;
+	}
 
-		controls.update();
-		renderer.render(scene, camera);
+	/** @type {number|undefined} */
+	let renderHandle;
+	/**
+	 * @param {number} now
+	 */
+	function render(now) {
 		renderHandle = requestAnimationFrame(render);
+		if (suspended) return;
+
+		drawFrame(timeline.tick(now));
+
+		if (captureQueue.length > 0) {
+			const captures = captureQueue;
+			captureQueue = [];
+			for (const capture of captures) capture.run();
+		}
 	}
 
 	requestAnimationFrame(render);
 
+	/**
+	 * Apply new options, rebuilding only the parts of the scene they affect.
+	 * If any part rejects them, the previous options are restored and the error rethrown.
+	 * @param {Partial<ThreeCanvasOptions>} next
+	 */
+	function update(next) {
+		const prev = opts;
+		const prevRng = rng;
+		const target = { ...opts, ...next };
+		try {
+			applyOptions(prev, target);
+		} catch (error) {
+			// Steps that already ran compare as changed again and are reverted;
+			// the old stream is reused because a `null` seed would draw a new one
+			applyOptions(target, prev, prevRng);
+			throw error;
+		}
+	}
+
+	/**
+	 * @param {ThreeCanvasOptions} prev - Options the scene currently reflects
+	 * @param {ThreeCanvasOptions} next
+	 * @param {SeedRandom} [nextRng] - Stream to use if the seed changed, instead of a new one from `next.seed`
+	 */
+	function applyOptions(prev, next, nextRng) {
+		opts = next;
+
+		/** @param {...keyof ThreeCanvasOptions} keys */
+		const changed = (...keys) => keys.some((key) => !sameOption(prev[key], opts[key]));
+
+		const reseed = changed("seed");
+		if (reseed) {
+			rng = nextRng ?? new SeedRandom(opts.seed);
+			applyGrainSeed();
+		}
+		const recolor = reseed || changed("paletteIndex", "harmony", "paletteBackground");
+		if (recolor) {
+			({ palette, background } = pickColors());
+		}
+
+		if (recolor || changed("clearColor")) {
+			applyBackground();
+		}
+		if (recolor || changed(...LAYOUT_OPTION_KEYS, "instanced")) {
+			buildMeshes();
+			// Instancing compiles a variant of the program with its own errors
+			checkShaders();
+		}
+		// The material is shared and outlives rebuilds, so this is never implied by the branch above
+		if (changed("shadingAmbient", "fieldFrequency", "fieldGain", "accentMix", "pulseStrength")) {
+			applyShaderConstants();
+		}
+		if (recolor || changed("lightPosition", "lightIntensity", "ambientIntensityRange")) {
+			applyLights();
+		}
+		if (changed("zoom", "viewSize")) {
+			cameraRig.setFraming({ viewSize: opts.viewSize, zoom: opts.zoom });
+		}
+		if (changed(...POST_OPTION_KEYS)) {
+			post.setOptions(pickPostOptions(opts));
+		}
+		if (changed("easing")) {
+			easeFn = BezierEasing(...opts.easing);
+		}
+		if (changed("duration", "fps", "loop", "fixedTimestep")) {
+			timeline.setOptions({
+				duration: opts.duration,
+				fps: opts.fps,
+				loop: opts.loop,
+				fixedTimestep: opts.fixedTimestep,
+			});
+		}
+	}
+
 	/**
 	 * Cleanup (useful for HMR or manual teardown)
 	 */
 	function dispose() {
 		// window.removeEventListener("resize", resize);
 		resizeObserver.disconnect();
-		controls.dispose();
+		cameraRig.dispose();
+		canvasElem.removeEventListener("pointermove", onPointerMove);
+		stopShaderReload();
+		errorOverlay.dispose();
+		post.dispose();
+		instancedMesh?.dispose();
+		material.dispose();
+		box.dispose();
 		renderer.dispose();
 		if (typeof renderHandle === "number") cancelAnimationFrame(renderHandle);
+		for (const capture of captureQueue) capture.cancel(new Error("Canvas was disposed before the capture"));
+		captureQueue = [];
+	}
+
+	/**
+	 * Export the current arrangement, as posed on screen, as a 3D model
+	 * @param {import("./scene-export.js").ModelFormat} format
+	 * @param {string} [name] - Base name of the files inside an OBJ export
+	 */
+	function exportModel(format, name) {
+		return exportScene(meshGroup, { format, name, extras: { seed: opts.seed, options: getOptions() } });
+	}
+
+	/**
+	 * Grade through a `.cube` LUT (in the color grade pass); `null` removes it
+	 * @param {string | null} cube - Contents of the `.cube` file
+	 */
+	async function loadLut(cube) {
+		if (cube == null) {
+			post.setLut(null);
+			return;
+		}
+		const { LUTCubeLoader } = await import("three/examples/jsm/loaders/LUTCubeLoader.js");
+		post.setLut(new LUTCubeLoader().parse(cube).texture3D);
+	}
+
+	/**
+	 * Current options (a copy)
+	 * @returns {ThreeCanvasOptions}
+	 */
+	function getOptions() {
+		return { ...opts };
 	}
 
 	return {
+		timeline,
+		cameraRig,
+		renderFrame,
+		requestCapture,
+		renderTiled,
+		exportModel,
+		loadLut,
+		update,
+		getOptions,
 		dispose,
 	};
 }
@@ -0,0 +1,104 @@
+/**
+ * @file Transport bar for a timeline
+ *
+ * Play/pause, frame stepping and a scrub bar. Keyboard shortcuts are returned
+ * as `onKeyDown` so the caller decides where to listen:
+ * - Space: play/pause
+ * - ArrowLeft / ArrowRight: step one frame (ten with Shift)
+ */
+
+/**
+ * @param {Element} parentElem
+ * @param {import("./timeline.js").Timeline} timeline
+ */
+export function createTimelineControls(parentElem, timeline) {
+	const root = document.createElement("div");
+	root.className = "timeline-controls";
+
+	const stepBackButton = Object.assign(document.createElement("button"), {
+		type: "button",
+		textContent: "⏮",
+		title: "Step back (←)",
+	});
+	const playButton = Object.assign(document.createElement("button"), { type: "button" });
+	const stepForwardButton = Object.assign(document.createElement("button"), {
+		type: "button",
+		textContent: "⏭",
+		title: "Step forward (→)",
+	});
+	const scrubber = Object.assign(document.createElement("input"), {
+		type: "range",
+		min: "0",
+		max: "1",
+		step: "any",
+		title: "Playhead",
+	});
+	const readout = document.createElement("output");
+
+	root.append(stepBackButton, playButton, stepForwardButton, scrubber, readout);
+	parentElem.append(root);
+
+	/** @param {import("./timeline.js").TimelineState} state */
+	function render(state) {
+		playButton.textContent = state.playing ? "⏸" : "▶";
+		playButton.title = state.playing ? "Pause (Space)" : "Play (Space)";
+		if (!scrubbing) scrubber.value = String(state.playhead);
+		readout.value = `${state.frame + 1} / ${state.totalFrames}`;
+	}
+
+	// Scrubbing pauses playback and resumes it on release
+	let scrubbing = false;
+	let resumeAfterScrub = false;
+
+	stepBackButton.addEventListener("click", () => timeline.step(-1));
+	stepForwardButton.addEventListener("click", () => timeline.step(1));
+	playButton.addEventListener("click", () => timeline.toggle());
+
+	scrubber.addEventListener("pointerdown", () => {
+		scrubbing = true;
+		resumeAfterScrub = timeline.getState().playing;
+		timeline.pause();
+	});
+	scrubber.addEventListener("input", () => timeline.setPlayhead(Number(scrubber.value)));
+	scrubber.addEventListener("change", () => {
+		scrubbing = false;
+		if (resumeAfterScrub) timeline.play();
+		resumeAfterScrub = false;
+	});
+
+	const unsubscribe = timeline.subscribe(render);
+	render(timeline.getState());
+
+	/**
+	 * @param {KeyboardEvent} e
+	 */
+	function onKeyDown(e) {
+		if (e.ctrlKey || e.metaKey || e.altKey) return;
+		if (
+			e.target instanceof HTMLInputElement ||
+			e.target instanceof HTMLTextAreaElement ||
+			e.target instanceof HTMLSelectElement ||
+			e.target instanceof HTMLButtonElement
+		) {
+			return;
+		}
+
+		if (e.key === " ") {
+			e.preventDefault();
+			timeline.toggle();
+		} else if (e.key === "ArrowLeft" || e.key === "ArrowRight") {
+			e.preventDefault();
+			timeline.step((e.key === "ArrowLeft" ? -1 : 1) * (e.shiftKey ? 10 : 1));
+		}
+	}
+
+	function dispose() {
+		unsubscribe();
+		root.remove();
+	}
+
+	return {
+		onKeyDown,
+		dispose,
+	};
+}
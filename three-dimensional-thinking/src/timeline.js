@@ -0,0 +1,226 @@
+/**
+ * @file Controllable animation timeline
+ *
+ * A looping playhead in the style of canvas-sketch: the render loop calls
+ * `tick()` once per frame and reads `time`/`playhead` from the returned state
+ * instead of a free-running clock, so playback can be paused, stepped and
+ * scrubbed.
+ *
+ * In fixed-timestep mode every tick advances exactly one frame (`1 / fps`),
+ * whatever the real frame time was. Use it when capturing frames.
+ */
+
+/**
+ * @typedef {Object} TimelineOptions
+ * @property {number} duration - Loop length in seconds
+ * @property {number} fps - Frames per second, used for `frame`, `step()` and the fixed timestep
+ * @property {boolean} loop - Wrap at the end, otherwise stop on the last frame
+ * @property {boolean} fixedTimestep - Advance one frame per tick instead of by real time
+ * @property {boolean} playing - Start playing
+ */
+
+/**
+ * @typedef {Object} TimelineState
+ * @property {number} time - Seconds, in [0, duration]
+ * @property {number} playhead - `time / duration`, in [0, 1]
+ * @property {number} frame - Current frame index
+ * @property {number} totalFrames
+ * @property {number} deltaTime - Seconds advanced by the last tick
+ * @property {number} duration
+ * @property {number} fps
+ * @property {boolean} playing
+ */
+
+/** @type {TimelineOptions} */
+export const DEFAULT_TIMELINE_OPTIONS = Object.freeze({
+	duration: 6,
+	fps: 60,
+	loop: true,
+	fixedTimestep: false,
+	playing: true,
+});
+
+/**
+ * @param {TimelineOptions} options
+ */
+function validate(options) {
+	if (!(options.duration > 0) || !Number.isFinite(options.duration)) {
+		throw new Error(`Invalid timeline duration: ${options.duration}`);
+	}
+	if (!(options.fps > 0) || !Number.isFinite(options.fps)) {
+		throw new Error(`Invalid timeline fps: ${options.fps}`);
+	}
+}
+
+/**
+ * @param {Partial<TimelineOptions>} [options]
+ */
+export function createTimeline(options = {}) {
+	/** @type {TimelineOptions} */
+	let opts = { ...DEFAULT_TIMELINE_OPTIONS, ...options };
+	validate(opts);
+
+	let time = 0;
+	let deltaTime = 0;
+	let playing = opts.playing;
+
+	/** Timestamp of the previous tick, `null` right after (re)starting */
+	/** @type {number | null} */
+	let lastNow = null;
+
+	/** @type {Set<(state: TimelineState) => void>} */
+	const listeners = new Set();
+
+	const totalFrames = () => Math.max(1, Math.round(opts.duration * opts.fps));
+
+	/** @returns {TimelineState} */
+	function getState() {
+		return {
+			time,
+			playhead: time / opts.duration,
+			frame: Math.min(totalFrames() - 1, Math.floor(time * opts.fps + 1e-6)),
+			totalFrames: totalFrames(),
+			deltaTime,
+			duration: opts.duration,
+			fps: opts.fps,
+			playing,
+		};
+	}
+
+	function notify() {
+		if (listeners.size === 0) return;
+		const state = getState();
+		for (const listener of listeners) listener(state);
+	}
+
+	/**
+	 * Move to `next` seconds, wrapping or stopping at the end
+	 * @param {number} next
+	 */
+	function moveTo(next) {
+		if (opts.loop) {
+			time = ((next % opts.duration) + opts.duration) % opts.duration;
+		} else if (next >= opts.duration) {
+			time = opts.duration;
+			playing = false;
+			lastNow = null;
+		} else {
+			time = Math.max(0, next);
+		}
+	}
+
+	/**
+	 * Advance by one render frame
+	 * @param {number} [now=performance.now()] - Frame timestamp in ms, e.g. the `requestAnimationFrame` argument
+	 * @returns {TimelineState}
+	 */
+	function tick(now = performance.now()) {
+		deltaTime = 0;
+		if (playing) {
+			if (opts.fixedTimestep) {
+				deltaTime = 1 / opts.fps;
+			} else if (lastNow !== null) {
+				deltaTime = Math.max(0, now - lastNow) / 1000;
+			}
+			lastNow = now;
+			moveTo(time + deltaTime);
+			notify();
+		}
+		return getState();
+	}
+
+	function play() {
+		if (playing) return;
+		if (!opts.loop && time >= opts.duration) time = 0;
+		playing = true;
+		lastNow = null;
+		notify();
+	}
+
+	function pause() {
+		if (!playing) return;
+		playing = false;
+		lastNow = null;
+		notify();
+	}
+
+	function toggle() {
+		if (playing) pause();
+		else play();
+	}
+
+	/**
+	 * Pause and move by whole frames (negative steps back)
+	 * @param {number} [frames=1]
+	 */
+	function step(frames = 1) {
+		playing = false;
+		lastNow = null;
+		deltaTime = 0;
+		const frame = Math.round(time * opts.fps) + frames;
+		moveTo(frame / opts.fps);
+		notify();
+	}
+
+	/**
+	 * Jump to a time in seconds
+	 * @param {number} seconds
+	 */
+	function seek(seconds) {
+		deltaTime = 0;
+		lastNow = null;
+		time = Math.min(opts.duration, Math.max(0, seconds));
+		notify();
+	}
+
+	/**
+	 * Jump to a playhead position in [0, 1]
+	 * @param {number} playhead
+	 */
+	function setPlayhead(playhead) {
+		seek(playhead * opts.duration);
+	}
+
+	/**
+	 * Change duration, fps, looping or the timestep mode, keeping the playhead
+	 * @param {Partial<TimelineOptions>} next
+	 */
+	function setOptions(next) {
+		const merged = { ...opts, ...next };
+		validate(merged);
+		const playhead = time / opts.duration;
+		opts = merged;
+		time = playhead * opts.duration;
+		if (next.playing !== undefined) {
+			if (next.playing) play();
+			else pause();
+		}
+		notify();
+	}
+
+	/**
+	 * @param {(state: TimelineState) => void} listener - Called on every change
+	 * @returns {() => void} Unsubscribe
+	 */
+	function subscribe(listener) {
+		listeners.add(listener);
+		return () => listeners.delete(listener);
+	}
+
+	return {
+		tick,
+		play,
+		pause,
+		toggle,
+		step,
+		seek,
+		setPlayhead,
+		setOptions,
+		getState,
+		subscribe,
+	};
+}
+
+/**
+ * @typedef {ReturnType<typeof createTimeline>} Timeline
+ */
@@ -0,0 +1,31 @@
+/**
+ * @file URL query-string state
+ *
+ * Read and write shareable scene state (e.g. `?seed=...`) without reloading the page.
+ */
+
+/**
+ * @param {string} name
+ * @returns {string | null}
+ */
+export function readUrlParam(name) {
+	return new URLSearchParams(window.location.search).get(name);
+}
+
+/**
+ * Replace the current history entry with updated query params.
+ * `null`/`undefined` values remove the param.
+ *
+ * @param {Record<string, string | number | null | undefined>} params
+ */
+export function writeUrlParams(params) {
+	const url = new URL(window.location.href);
+	for (const [name, value] of Object.entries(params)) {
+		if (value == null) {
+			url.searchParams.delete(name);
+		} else {
+			url.searchParams.set(name, String(value));
+		}
+	}
+	window.history.replaceState(window.history.state, "", url);
+}
@@ -0,0 +1,133 @@
+/**
+ * @file Minimal ZIP writer
+ *
+ * Stores entries uncompressed ("stored" method). Frames are already PNG, so
+ * deflating them again would cost time and save almost nothing.
+ */
+
+/** @type {Uint32Array | undefined} */
+let crcTable;
+
+/**
+ * CRC-32 (IEEE 802.3), as required by the ZIP headers
+ * @param {Uint8Array} data
+ */
+export function crc32(data) {
+	if (!crcTable) {
+		crcTable = new Uint32Array(256);
+		for (let n = 0; n < 256; n++) {
+			let c = n;
+			for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+			crcTable[n] = c >>> 0;
+		}
+	}
+
+	let crc = 0xffffffff;
+	for (let i = 0; i < data.length; i++) {
+		crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+	}
+	return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * @param {Date} date
+ * @returns {[time: number, date: number]} MS-DOS time and date fields
+ */
+function dosDateTime(date) {
+	const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+	const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+	return [time, day];
+}
+
+/**
+ * @typedef {Object} ZipEntry
+ * @property {Uint8Array} name - UTF-8 encoded
+ * @property {Uint8Array<ArrayBuffer>} data
+ * @property {number} crc
+ * @property {number} offset - Byte offset of the local header
+ */
+
+export function createZip() {
+	/** @type {ZipEntry[]} */
+	const entries = [];
+	/** @type {Uint8Array<ArrayBuffer>[]} */
+	const chunks = [];
+	let offset = 0;
+
+	const [time, date] = dosDateTime(new Date());
+	const encoder = new TextEncoder();
+
+	/**
+	 * @param {string} name - Path inside the archive
+	 * @param {Uint8Array<ArrayBuffer>} data
+	 */
+	function add(name, data) {
+		const entry = { name: encoder.encode(name), data, crc: crc32(data), offset };
+
+		const header = new Uint8Array(30 + entry.name.length);
+		const view = new DataView(header.buffer);
+		view.setUint32(0, 0x04034b50, true);
+		view.setUint16(4, 20, true); // version needed
+		view.setUint16(6, 0x0800, true); // UTF-8 names
+		view.setUint16(8, 0, true); // stored
+		view.setUint16(10, time, true);
+		view.setUint16(12, date, true);
+		view.setUint32(14, entry.crc, true);
+		view.setUint32(18, data.length, true);
+		view.setUint32(22, data.length, true);
+		view.setUint16(26, entry.name.length, true);
+		view.setUint16(28, 0, true);
+		header.set(entry.name, 30);
+
+		chunks.push(header, data);
+		offset += header.length + data.length;
+		entries.push(entry);
+	}
+
+	/**
+	 * Append the central directory and return the archive
+	 * @returns {Blob}
+	 */
+	function toBlob() {
+		/** @type {Uint8Array<ArrayBuffer>[]} */
+		const directory = [];
+		let directorySize = 0;
+
+		for (const entry of entries) {
+			const record = new Uint8Array(46 + entry.name.length);
+			const view = new DataView(record.buffer);
+			view.setUint32(0, 0x02014b50, true);
+			view.setUint16(4, 20, true); // version made by
+			view.setUint16(6, 20, true); // version needed
+			view.setUint16(8, 0x0800, true);
+			view.setUint16(10, 0, true);
+			view.setUint16(12, time, true);
+			view.setUint16(14, date, true);
+			view.setUint32(16, entry.crc, true);
+			view.setUint32(20, entry.data.length, true);
+			view.setUint32(24, entry.data.length, true);
+			view.setUint16(28, entry.name.length, true);
+			// extra, comment, disk, internal and external attributes stay 0
+			view.setUint32(42, entry.offset, true);
+			record.set(entry.name, 46);
+
+			directory.push(record);
+			directorySize += record.length;
+		}
+
+		const end = new Uint8Array(22);
+		const view = new DataView(end.buffer);
+		view.setUint32(0, 0x06054b50, true);
+		view.setUint16(8, entries.length, true);
+		view.setUint16(10, entries.length, true);
+		view.setUint32(12, directorySize, true);
+		view.setUint32(16, offset, true);
+
+		return new Blob([...chunks, ...directory, end], { type: "application/zip" });
+	}
+
+	return {
+		add,
+		toBlob,
+	};
+}